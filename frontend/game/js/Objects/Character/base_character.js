@@ -42,6 +42,11 @@ class Base_Character extends Mobile_Object {
   setupSelectionEvents() {
     // Object selection handler
     this.hitArea.on("pointerdown", (pointer) => {
+      // Clicking an enemy while units are selected orders an attack instead
+      if (this.scene.onEnemyClicked && this.scene.onEnemyClicked(this)) {
+        return;
+      }
+
       console.log(this.type + " clicked");
       this.select();
 
@@ -3,6 +3,8 @@ class Engineer extends Base_Character {
     const engineerProps = {
       moveSpeed: CONSTANTS.MOVEMENT.SOLDIER_SPEED * 0.9, // Slightly slower than soldier
       bodyRadius: 10,
+      maxHealth: 80,
+      visionRange: CONSTANTS.FOG.VISION.BUILDER,
       type: "builder", // Changed from "engineer" to "builder" for consistency
       cost: 100, // Cost to create additional engineers/builders
     };
@@ -14,6 +16,9 @@ class Engineer extends Base_Character {
     this.buildingProgress = 0;
     this.buildRate = 0.03; // Reduced to 3% progress per second to make multiple builders valuable
 
+    // Blueprints there was no way to, skipped when looking for work
+    this.unreachableBlueprints = new Set();
+
     // Ensure the hit area is interactive
     if (this.hitArea) {
       this.hitArea.setInteractive();
@@ -103,7 +108,8 @@ class Engineer extends Base_Character {
         building.owner &&
         this.owner &&
         building.owner.id === this.owner.id &&
-        building.assignedBuilders.length < building.maxBuilders
+        building.assignedBuilders.length < building.maxBuilders &&
+        !this.unreachableBlueprints.has(building)
     );
 
     if (blueprints.length === 0) return null;
@@ -141,17 +147,20 @@ class Engineer extends Base_Character {
     this.targetBlueprint = blueprint;
 
     // Move to blueprint if not already there
-    const distance = Math.sqrt(
-      Math.pow(blueprint.x - this.sprite.x, 2) +
-        Math.pow(blueprint.y - this.sprite.y, 2)
-    );
-
-    if (distance > 50) {
-      // Path to the blueprint
-      this.handleMovementToPoint(blueprint.x, blueprint.y);
+    if (!this.isNearBlueprint()) {
+      this.moveToBlueprint();
     }
   }
 
+  // Path to the blueprint, giving it up if there's no way there
+  moveToBlueprint() {
+    const blueprint = this.targetBlueprint;
+    if (this.handleMovementToPoint(blueprint.x, blueprint.y)) return;
+
+    this.unreachableBlueprints.add(blueprint);
+    this.stopBuilding();
+  }
+
   // Stop building current blueprint
   stopBuilding() {
     // Remove this builder from the blueprint's assigned builders
@@ -165,20 +174,33 @@ class Engineer extends Base_Character {
 
   // External command to build a specific blueprint
   assignToBlueprint(blueprint) {
+    this.unreachableBlueprints.delete(blueprint);
     this.stopBuilding();
     this.startBuilding(blueprint);
   }
 
-  // Check if near enough to build
+  // Check if near enough to build: on a hex next to the blueprint (its own
+  // hex is blocked), or on the closest hex with room when those are all taken
   isNearBlueprint() {
-    if (!this.targetBlueprint) return false;
-
-    const distance = Math.sqrt(
-      Math.pow(this.targetBlueprint.x - this.sprite.x, 2) +
-        Math.pow(this.targetBlueprint.y - this.sprite.y, 2)
+    const blueprint = this.targetBlueprint;
+    if (!blueprint) return false;
+
+    const grid = this.scene.hexGrid;
+    const here = grid.getCoordsAt(this.sprite.x, this.sprite.y);
+    const site = grid.getCoordsAt(blueprint.x, blueprint.y);
+    if (!here || !site) return false;
+    if (HexGrid.distance(here, site) <= 1) return true;
+
+    if (this.isMoving || !this.scene.occupancy) return false;
+    const spot = this.scene.occupancy.findFreeHex(
+      blueprint.x,
+      blueprint.y,
+      this,
+      this.isValidMovementTarget.bind(this)
+    );
+    return (
+      !!spot && spot.gridPos.row === here.row && spot.gridPos.col === here.col
     );
-
-    return distance < 50; // Building distance threshold
   }
 
   // Update function override to include building logic
@@ -191,21 +213,14 @@ class Engineer extends Base_Character {
       if (this.isNearBlueprint()) {
         // If we're moving, stop
         if (this.isMoving) {
-          this.isMoving = false;
-          this.currentPath = [];
-          if (this.pathVisualizer) {
-            this.pathVisualizer.clear();
-          }
+          this.stopMoving();
         }
 
         // Update building progress on the blueprint (with this builder as contributor)
         this.targetBlueprint.updateBuildProgress(null, this);
       } else if (!this.isMoving) {
         // If we're not near the blueprint and not moving, move to it
-        this.handleMovementToPoint(
-          this.targetBlueprint.x,
-          this.targetBlueprint.y
-        );
+        this.moveToBlueprint();
       }
     } else if (!this.isBuilding && !this.isSelected) {
       // If we're not building and not selected, look for blueprints to build automatically
@@ -229,6 +244,11 @@ class Engineer extends Base_Character {
   setupSelectionEvents() {
     // Object selection handler
     this.hitArea.on("pointerdown", (pointer) => {
+      // Clicking an enemy while units are selected orders an attack instead
+      if (this.scene.onEnemyClicked && this.scene.onEnemyClicked(this)) {
+        return;
+      }
+
       console.log(this.type + " clicked");
       this.select();
 
@@ -4,6 +4,9 @@ class Infantry extends Base_Character {
     const infantryProps = {
       moveSpeed: CONSTANTS.MOVEMENT.SOLDIER_SPEED,
       bodyRadius: 10,
+      maxHealth: 100,
+      weapon: CONSTANTS.WEAPONS.INFANTRY,
+      visionRange: CONSTANTS.FOG.VISION.INFANTRY,
       type: "infantry",
     };
 
@@ -82,4 +85,4 @@ class Infantry extends Base_Character {
 // Export the Infantry class
 if (typeof module !== "undefined") {
   module.exports = { Infantry };
-}
\ No newline at end of file
+}
@@ -3,6 +3,9 @@ class Rocketeer extends Base_Character {
     const rocketeerProps = {
       moveSpeed: CONSTANTS.MOVEMENT.SOLDIER_SPEED,
       bodyRadius: 10,
+      maxHealth: 90,
+      weapon: CONSTANTS.WEAPONS.ROCKETEER,
+      visionRange: CONSTANTS.FOG.VISION.ROCKETEER,
       type: "rocketeer",
     };
     super(scene, rocketeerProps, x, y);
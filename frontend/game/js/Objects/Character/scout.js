@@ -3,6 +3,9 @@ class Scout extends Base_Character {
     const scoutProps = {
       moveSpeed: CONSTANTS.MOVEMENT.SOLDIER_SPEED * 1.2, // Faster than others
       bodyRadius: 10,
+      maxHealth: 60,
+      visionRange: CONSTANTS.FOG.VISION.SCOUT,
+      detectionRange: CONSTANTS.STEALTH.SCOUT_DETECTION_RANGE,
       type: "scout",
     };
     super(scene, scoutProps, x, y);
@@ -4,6 +4,10 @@ class Sniper extends Base_Character {
     const sniperProps = {
       moveSpeed: CONSTANTS.MOVEMENT.SOLDIER_SPEED * 0.95,
       bodyRadius: 9,
+      maxHealth: 70,
+      weapon: CONSTANTS.WEAPONS.SNIPER,
+      visionRange: CONSTANTS.FOG.VISION.SNIPER,
+      camouflage: true, // The ghillie suit hides it while standing still
       type: "sniper",
     };
     super(scene, sniperProps, x, y);
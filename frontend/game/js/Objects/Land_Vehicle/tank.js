@@ -5,6 +5,11 @@ class Tank extends Mobile_Object {
     const tankProps = {
       moveSpeed: CONSTANTS.MOVEMENT.TANK_SPEED || 0.5,
       bodyRadius: 25,
+      maxHealth: 400,
+      weapon: CONSTANTS.WEAPONS.TANK,
+      armorType: "HEAVY_VEHICLE",
+      movementClass: "vehicle",
+      visionRange: CONSTANTS.FOG.VISION.TANK,
       type: "tank",
     };
 
@@ -61,15 +66,6 @@ class Tank extends Mobile_Object {
     this.sprite.fillRect(-9, 21, 18, 3);
   }
 
-  // Override movement validation if needed
-  isValidMovementTarget(hex) {
-    return hex && hex.color === CONSTANTS.COLORS.GRASS;
-  }
-
-  isValidMovementTile(hex) {
-    return hex && hex.color === CONSTANTS.COLORS.GRASS;
-  }
-
   // Override the rotation update method for tank-specific rotation
   updateRotation(dx, dy) {
     if (dx !== 0 || dy !== 0) {
@@ -29,6 +29,7 @@ class Mobile_Object {
     // Common properties
     this.moveSpeed = objectProps.moveSpeed || CONSTANTS.MOVEMENT.DEFAULT_SPEED;
     this.bodyRadius = objectProps.bodyRadius || 10;
+    this.movementClass = objectProps.movementClass || "infantry"; // Or "vehicle"
     this.isMoving = false;
     this.isSelected = false;
     this.objectProps = objectProps;
@@ -36,11 +37,51 @@ class Mobile_Object {
     this.owner = null; // Initialize owner as null
     this.cost = objectProps.cost || 0; // Cost of the unit
 
+    // Health properties
+    this.maxHealth =
+      objectProps.maxHealth || CONSTANTS.HEALTH.DEFAULT_MAX_HEALTH;
+    this.health = this.maxHealth;
+    this.isDead = false;
+    this.armorType =
+      objectProps.armorType || CONSTANTS.COMBAT.DEFAULT_ARMOR_TYPE;
+
+    // How far this object sees through the fog of war
+    this.visionRange = objectProps.visionRange || CONSTANTS.FOG.VISION.DEFAULT;
+    this.isRevealed = true;
+
+    // Stealth: camouflaged objects hide from enemies while standing still,
+    // detectors spot them within their detection range
+    this.canCamouflage = !!objectProps.camouflage;
+    this.detectionRange = objectProps.detectionRange || 0;
+    this.lastMovedTime = scene.time.now;
+    this.revealedUntil = 0;
+    this.wasCamouflaged = false;
+
+    // Combat properties (only combat units carry a weapon)
+    this.weapon = objectProps.weapon
+      ? new Weapon(scene, this, objectProps.weapon)
+      : null;
+    this.currentTarget = null;
+    this.nextTargetScanTime = 0;
+
+    // Standing orders (attack a specific target, or attack-move to a point)
+    this.attackOrder = null;
+    this.attackMoveDestination = null;
+    this.chaseGoal = null;
+    this.nextChaseRepathTime = 0;
+
     // Selection circle (invisible by default)
     this.selectionCircle = scene.add.graphics();
     this.selectionCircle.setVisible(false);
     this.selectionCircle.setDepth(5); // Set depth between path (1) and sprites (10)
 
+    // Floating health bar (hidden while at full health)
+    this.healthBar = new HealthBar(
+      scene,
+      Math.max(CONSTANTS.HEALTH.BAR_WIDTH, this.bodyRadius * 2),
+      -this.bodyRadius * 2.2
+    );
+
     // Path-related properties
     this.currentPath = [];
     this.currentHex = null;
@@ -77,6 +118,11 @@ class Mobile_Object {
         console.error("Error setting sprite tint:", err);
       }
     }
+
+    // Only show paths for the local player's units
+    if (this.pathVisualizer && this.scene.currentPlayer) {
+      this.pathVisualizer.setVisible(player.id === this.scene.currentPlayer.id);
+    }
   }
 
   /**
@@ -97,61 +143,179 @@ class Mobile_Object {
   }
 
   /**
-   * Set up the object with initial hex tile
+   * Show or hide this object, e.g. when it enters or leaves the local
+   * player's vision. Hidden objects can't be clicked.
+   * @param {boolean} revealed - True if the object can be seen
    */
-  findAndSetInitialHex(x, y) {
-    const startHex = this.findClosestHex(x, y);
-    if (startHex) {
-      this.currentHex = startHex;
-      this.tilePosition = startHex.gridPos;
+  setRevealed(revealed) {
+    if (this.isRevealed === revealed) return;
+    this.isRevealed = revealed;
+
+    if (this.sprite) this.sprite.setVisible(revealed);
+    if (this.hitArea) this.hitArea.setVisible(revealed);
+    if (this.selectionCircle) {
+      this.selectionCircle.setVisible(revealed && this.isSelected);
     }
+    if (this.healthBar) this.healthBar.setHidden(!revealed);
   }
 
   /**
-   * Find the closest hex to a given point
+   * Check whether this object is currently camouflaged: it has to have
+   * stood still for a while and not fired recently
    */
-  findClosestHex(x, y) {
-    const hexes = this.scene.hexTiles || [];
-    let closestHex = null;
-    let closestDistance = Number.MAX_VALUE;
+  isCamouflaged() {
+    if (!this.canCamouflage || this.isDead || this.isMoving) return false;
 
-    for (const hex of hexes) {
-      // Only consider valid tiles for movement
-      if (!this.isValidMovementTile(hex)) continue;
+    const now = this.scene.time.now;
+    return (
+      now - this.lastMovedTime >= CONSTANTS.STEALTH.CAMOUFLAGE_DELAY &&
+      now >= this.revealedUntil
+    );
+  }
 
-      const distance = Math.sqrt(
-        Math.pow(hex.x - x, 2) + Math.pow(hex.y - y, 2)
+  /**
+   * Check whether a player is unable to see or target this object
+   * @param {Player} player - The player looking for this object
+   * @returns {boolean} True if camouflaged and no detector of the player is near
+   */
+  isHiddenFrom(player) {
+    if (!player || this.owner === player || !this.isCamouflaged()) {
+      return false;
+    }
+    return !player.canDetect(this.sprite.x, this.sprite.y);
+  }
+
+  // Fade the sprite while camouflaged so the owner can tell
+  updateCamouflage() {
+    if (this.isMoving) this.lastMovedTime = this.scene.time.now;
+
+    const camouflaged = this.isCamouflaged();
+    if (camouflaged === this.wasCamouflaged) return;
+
+    this.wasCamouflaged = camouflaged;
+    if (this.sprite) {
+      this.sprite.setAlpha(
+        camouflaged ? CONSTANTS.STEALTH.CAMOUFLAGE_ALPHA : 1
       );
+    }
+  }
 
-      if (distance < closestDistance) {
-        closestDistance = distance;
-        closestHex = hex;
-      }
+  /**
+   * Apply damage to this object and kill it when health runs out
+   * @param {Number} amount - Hit points to remove
+   * @param {Object} source - The unit or building that dealt the damage
+   * @returns {Number} The damage actually applied
+   */
+  takeDamage(amount, source = null) {
+    if (this.isDead || amount <= 0) return 0;
+
+    const applied = Math.min(this.health, amount);
+    this.health -= applied;
+    this.updateHealthBar();
+
+    if (this.health <= 0) {
+      this.die(source);
     }
 
-    return closestHex;
+    return applied;
   }
 
   /**
-   * Find the hex at a given position
+   * Restore health, capped at the maximum
+   * @param {Number} amount - Hit points to restore
+   * @returns {Number} The amount actually healed
    */
-  findHexTileAt(x, y) {
-    const hexes = this.scene.hexTiles || [];
-    let closestHex = null;
-    let closestDistance = Number.MAX_VALUE;
+  heal(amount) {
+    if (this.isDead || amount <= 0) return 0;
 
-    for (const hex of hexes) {
-      const distance = Math.sqrt(
-        Math.pow(hex.x - x, 2) + Math.pow(hex.y - y, 2)
-      );
+    const healed = Math.min(this.maxHealth - this.health, amount);
+    this.health += healed;
+    this.updateHealthBar();
+
+    return healed;
+  }
+
+  /**
+   * Get current health as a fraction of maximum health
+   * @returns {Number} Value between 0 and 1
+   */
+  getHealthRatio() {
+    return this.maxHealth > 0 ? this.health / this.maxHealth : 0;
+  }
+
+  /**
+   * Redraw the health bar to reflect current health and selection
+   */
+  updateHealthBar() {
+    if (!this.healthBar) return;
+
+    this.healthBar.draw(this.health, this.maxHealth, this.isSelected);
+    if (this.sprite) {
+      this.healthBar.setPosition(this.sprite.x, this.sprite.y);
+    }
+  }
+
+  /**
+   * Remove this object from the game after its health reaches zero
+   * @param {Object} killer - The unit or building that dealt the final blow
+   */
+  die(killer = null) {
+    if (this.isDead) return;
 
-      if (distance < closestDistance && distance < CONSTANTS.HEX_SIZE) {
-        closestDistance = distance;
-        closestHex = hex;
+    this.isDead = true;
+    this.health = 0;
+    this.isSelected = false;
+    this.currentTarget = null;
+    this.clearOrders();
+
+    // Remove from the owner's unit lists
+    if (this.owner) {
+      this.owner.removeUnit(this);
+      this.owner.removeBuilder(this);
+    }
+
+    // Let the scene clear any references (selection, etc.)
+    if (this.scene.onEntityDestroyed) {
+      this.scene.onEntityDestroyed(this, killer);
+    }
+
+    console.log(this.type + " destroyed");
+
+    this.destroy();
+  }
+
+  /**
+   * Set up the object with initial hex tile
+   */
+  findAndSetInitialHex(x, y) {
+    const startHex = this.findClosestHex(x, y);
+    if (startHex) {
+      this.currentHex = startHex;
+      this.tilePosition = startHex.gridPos;
+
+      if (this.scene.occupancy) {
+        this.scene.occupancy.reserveUnit(this, startHex);
       }
     }
+  }
 
-    return closestHex;
+  /**
+   * Find the closest hex to a given point
+   */
+  findClosestHex(x, y) {
+    if (!this.scene.hexGrid) return null;
+
+    // Only consider valid tiles for movement
+    return this.scene.hexGrid.getClosestHex(x, y, (hex) =>
+      this.isValidMovementTile(hex)
+    );
+  }
+
+  /**
+   * Find the hex at a given position
+   */
+  findHexTileAt(x, y) {
+    return this.scene.hexGrid ? this.scene.hexGrid.getHexAt(x, y) : null;
   }
 
   /**
@@ -160,6 +324,11 @@ class Mobile_Object {
   setupEvents() {
     // Object selection handler
     this.hitArea.on("pointerdown", (pointer) => {
+      // Clicking an enemy while units are selected orders an attack instead
+      if (this.scene.onEnemyClicked && this.scene.onEnemyClicked(this)) {
+        return;
+      }
+
       console.log(this.type + " clicked");
       this.select();
 
@@ -173,17 +342,27 @@ class Mobile_Object {
     });
 
     // Map click handler for movement
-    this.mapClickHandler = (pointer) => {
+    this.mapClickHandler = (pointer, currentlyOver) => {
       // Only process clicks if this object is selected
       if (!this.isSelected) return;
 
+      // Only the owning player can command this object
+      if (this.owner !== this.scene.currentPlayer) return;
+
+      // Clicks on units, buildings or UI are handled by those objects
+      if (currentlyOver && currentlyOver.length > 0) return;
+
       // Convert screen coordinates to world coordinates
       const worldPoint = this.scene.cameras.main.getWorldPoint(
         pointer.x,
         pointer.y
       );
 
-      this.handleMovementToPoint(worldPoint.x, worldPoint.y);
+      if (this.scene.attackMoveArmed) {
+        this.attackMoveTo(worldPoint.x, worldPoint.y);
+      } else {
+        this.handleMovementToPoint(worldPoint.x, worldPoint.y);
+      }
     };
 
     // Add the map click event listener
@@ -192,10 +371,95 @@ class Mobile_Object {
 
   /**
    * Handle movement to a specified point
+   * This is a plain move order, so it cancels any attack orders
    */
   handleMovementToPoint(x, y) {
+    this.clearOrders();
+    return this.moveToPoint(x, y);
+  }
+
+  /**
+   * Order this object to chase and attack a target until it dies
+   * @param {Object} target - Enemy unit or building
+   */
+  attackTarget(target) {
+    if (!target || target.isDead) return;
+
+    // Unarmed objects simply move to the target's position
+    if (!this.weapon) {
+      const position = target.sprite || target;
+      this.handleMovementToPoint(position.x, position.y);
+      return;
+    }
+
+    this.clearOrders();
+    this.attackOrder = target;
+    this.currentTarget = this.weapon.isValidTarget(target) ? target : null;
+    this.nextChaseRepathTime = 0;
+  }
+
+  /**
+   * Order this object to move to a point, stopping to fight enemies on the way
+   */
+  attackMoveTo(x, y) {
+    this.clearOrders();
+
+    if (!this.weapon) {
+      return this.moveToPoint(x, y);
+    }
+
+    this.attackMoveDestination = { x: x, y: y };
+    return this.moveToPoint(x, y);
+  }
+
+  /**
+   * Cancel attack and attack-move orders
+   */
+  clearOrders() {
+    this.attackOrder = null;
+    this.attackMoveDestination = null;
+    this.chaseGoal = null;
+  }
+
+  /**
+   * Stop moving and clear the current path
+   * The unit now holds the hex it stopped on instead of its old destination
+   */
+  stopMoving() {
+    this.isMoving = false;
+    this.currentPath = [];
+    this.pathVisualizer.clear();
+
+    const hex = this.findClosestHex(this.sprite.x, this.sprite.y);
+    if (hex && this.scene.occupancy) {
+      this.scene.occupancy.reserveUnit(this, hex);
+    }
+  }
+
+  /**
+   * Find a path to a point and start moving along it
+   * If a building is on the point's hex or it is full of units, the unit
+   * heads for the closest hex with room instead
+   * @returns {boolean} True if a path was found
+   */
+  moveToPoint(x, y) {
     // Find the tile that was clicked
-    const clickedHex = this.findHexTileAt(x, y);
+    let clickedHex = this.findHexTileAt(x, y);
+
+    const occupancy = this.scene.occupancy;
+    if (
+      clickedHex &&
+      occupancy &&
+      this.isValidMovementTarget(clickedHex) &&
+      !occupancy.hasRoom(clickedHex, this)
+    ) {
+      clickedHex = occupancy.findFreeHex(
+        x,
+        y,
+        this,
+        this.isValidMovementTarget.bind(this)
+      );
+    }
 
     if (clickedHex && this.isValidMovementTarget(clickedHex)) {
       // When clicking a new destination, we need to use the current actual position
@@ -213,37 +477,44 @@ class Mobile_Object {
 
       if (!startHex) {
         console.error("Could not find a valid starting hex for pathfinding");
-        return;
+        return false;
       }
 
       // Cancel any current movement and clear existing path
-      this.isMoving = false;
-      this.currentPath = [];
-      this.pathVisualizer.clear();
+      this.stopMoving();
 
       // Calculate path from current position to target
       const path = this.pathFinder.findPath(
         startHex,
         clickedHex,
-        this.isValidMovementTile.bind(this)
+        this.isValidMovementTile.bind(this),
+        this.getMoveCost.bind(this)
       );
 
       if (path && path.length > 0) {
         // Update current position to ensure we're starting from the right place
         this.currentHex = startHex;
 
+        // Keep a place for this unit at the destination
+        if (occupancy) {
+          occupancy.reserveUnit(this, clickedHex);
+        }
+
         // Set the new path
         this.currentPath = path;
         this.pathVisualizer.drawPath(this.sprite.x, this.sprite.y, path);
 
         // Move to the first point in path
         this.moveToNextPathPoint();
+        return true;
       } else {
         console.log("No valid path found to destination");
       }
     } else {
       console.log("Invalid movement target or no hex at click location");
     }
+
+    return false;
   }
 
   /**
@@ -251,7 +522,7 @@ class Mobile_Object {
    * Default implementation, should be overridden by subclasses
    */
   isValidMovementTarget(hex) {
-    return hex && hex.color === CONSTANTS.COLORS.GRASS;
+    return this.getMoveCost(hex) !== null;
   }
 
   /**
@@ -259,7 +530,21 @@ class Mobile_Object {
    * Default implementation, should be overridden by subclasses
    */
   isValidMovementTile(hex) {
-    return hex && hex.color === CONSTANTS.COLORS.GRASS;
+    return this.getMoveCost(hex) !== null;
+  }
+
+  /**
+   * Get the cost for this object to enter a hex, based on its terrain
+   * @returns {Number} The cost (grass is 1), or null if it can't go there
+   */
+  getMoveCost(hex) {
+    return getMoveCost(hex, this.movementClass);
+  }
+
+  // Share of incoming damage blocked by the terrain this object is on
+  getCover() {
+    const terrain = this.currentHex && TERRAIN_TYPES[this.currentHex.terrain];
+    return terrain ? terrain.cover : 0;
   }
 
   /**
@@ -274,6 +559,9 @@ class Mobile_Object {
       this.pathVisualizer.setTransparent(false);
     }
 
+    // Always show the health bar of selected objects
+    this.updateHealthBar();
+
     console.log(this.type + " selected");
   }
 
@@ -289,6 +577,9 @@ class Mobile_Object {
       this.pathVisualizer.setTransparent(true);
     }
 
+    // Hide the health bar again if the object is unhurt
+    this.updateHealthBar();
+
     console.log(this.type + " deselected");
   }
 
@@ -335,9 +626,16 @@ class Mobile_Object {
       console.error(
         "Invalid movement tile detected in path, canceling movement"
       );
-      this.currentPath = [];
-      this.isMoving = false;
-      this.pathVisualizer.clear();
+      this.stopMoving();
+      return;
+    }
+
+    // A building went up on the path since it was found, so go around it
+    if (this.scene.occupancy && this.scene.occupancy.isBlocked(nextPoint)) {
+      const destination = this.currentPath[this.currentPath.length - 1];
+      if (!this.moveToPoint(destination.x, destination.y)) {
+        this.stopMoving();
+      }
       return;
     }
 
@@ -369,7 +667,10 @@ class Mobile_Object {
       const dy = this.targetY - this.sprite.y;
       const distance = Math.sqrt(dx * dx + dy * dy);
 
-      if (distance < this.moveSpeed) {
+      // Slow terrain on the hex being entered slows the object down
+      const speed = this.moveSpeed / (this.getMoveCost(this.currentHex) || 1);
+
+      if (distance < speed) {
         // Arrived at destination
         this.sprite.x = this.targetX;
         this.sprite.y = this.targetY;
@@ -396,8 +697,8 @@ class Mobile_Object {
         }
       } else {
         // Continue moving
-        this.sprite.x += (dx / distance) * this.moveSpeed;
-        this.sprite.y += (dy / distance) * this.moveSpeed;
+        this.sprite.x += (dx / distance) * speed;
+        this.sprite.y += (dy / distance) * speed;
 
         // Rotate object to face movement direction
         // This can be overridden by subclasses for different rotation behavior
@@ -425,6 +726,154 @@ class Mobile_Object {
           );
         }
       }
+
+      // Keep the health bar above the object
+      this.healthBar.setPosition(this.sprite.x, this.sprite.y);
+    }
+
+    // Camouflage needs the object to stand still
+    if (this.canCamouflage) {
+      this.updateCamouflage();
+    }
+
+    // Follow attack and attack-move orders
+    this.updateOrders();
+
+    // Fire on enemies whether idle or moving
+    this.updateCombat();
+  }
+
+  /**
+   * Carry out standing attack and attack-move orders
+   */
+  updateOrders() {
+    if (!this.weapon || this.isDead) return;
+
+    const now = this.scene.time.now;
+
+    if (this.attackOrder) {
+      const target = this.attackOrder;
+
+      // Order is complete once the target is gone or has gone into hiding
+      if (target.isDead || !Weapon.canSee(this.scene, this.owner, target)) {
+        this.attackOrder = null;
+        this.chaseGoal = null;
+        return;
+      }
+
+      const distance = this.weapon.distanceTo(target);
+
+      if (distance < this.weapon.minRange) {
+        // Too close to fire: back off to a spot between minRange and range
+        if (!this.isMoving && now >= this.nextChaseRepathTime) {
+          const position = this.weapon.getPosition(target);
+          const angle = Math.atan2(
+            this.sprite.y - position.y,
+            this.sprite.x - position.x
+          );
+          const spacing = (this.weapon.minRange + this.weapon.range) / 2;
+
+          this.chaseGoal = null;
+          this.nextChaseRepathTime =
+            now + CONSTANTS.COMBAT.CHASE_REPATH_INTERVAL;
+          this.moveToPoint(
+            position.x + Math.cos(angle) * spacing,
+            position.y + Math.sin(angle) * spacing
+          );
+        }
+        return;
+      }
+
+      if (distance <= this.weapon.range) {
+        // Close enough: stop and engage the ordered target
+        if (this.isMoving) this.stopMoving();
+        this.chaseGoal = null;
+        if (this.weapon.isValidTarget(target)) {
+          this.currentTarget = target;
+        }
+        return;
+      }
+
+      // Out of range: chase, repathing whenever the target has moved away
+      const position = this.weapon.getPosition(target);
+      const targetMoved =
+        !this.chaseGoal ||
+        Math.sqrt(
+          Math.pow(position.x - this.chaseGoal.x, 2) +
+            Math.pow(position.y - this.chaseGoal.y, 2)
+        ) > CONSTANTS.HEX_SIZE;
+
+      if (now >= this.nextChaseRepathTime && (targetMoved || !this.isMoving)) {
+        this.chaseGoal = { x: position.x, y: position.y };
+        this.nextChaseRepathTime = now + CONSTANTS.COMBAT.CHASE_REPATH_INTERVAL;
+        this.moveToPoint(position.x, position.y);
+      }
+      return;
+    }
+
+    if (this.attackMoveDestination) {
+      const destination = this.attackMoveDestination;
+
+      // Stop to fight anything that comes into range
+      if (this.currentTarget) {
+        if (this.isMoving) this.stopMoving();
+        return;
+      }
+
+      if (this.isMoving) return;
+
+      // Arrived, or resume the march once the fight is over
+      const distance = Math.sqrt(
+        Math.pow(destination.x - this.sprite.x, 2) +
+          Math.pow(destination.y - this.sprite.y, 2)
+      );
+
+      if (distance < CONSTANTS.HEX_SIZE) {
+        this.attackMoveDestination = null;
+      } else if (now >= this.nextChaseRepathTime) {
+        this.nextChaseRepathTime = now + CONSTANTS.COMBAT.CHASE_REPATH_INTERVAL;
+        if (!this.moveToPoint(destination.x, destination.y)) {
+          // Destination became unreachable, give up the order
+          this.attackMoveDestination = null;
+        }
+      }
+    }
+  }
+
+  /**
+   * Scan for enemies and fire on them automatically
+   * Runs every frame for units that carry a weapon
+   */
+  updateCombat() {
+    if (!this.weapon || !this.owner || this.isDead) return;
+
+    const now = this.scene.time.now;
+
+    // Drop the current target once it dies or leaves range
+    if (this.currentTarget && !this.weapon.isValidTarget(this.currentTarget)) {
+      this.currentTarget = null;
+    }
+
+    // Look for a new target periodically rather than every frame
+    if (!this.currentTarget && now >= this.nextTargetScanTime) {
+      this.currentTarget = this.weapon.acquireTarget();
+      this.nextTargetScanTime = now + CONSTANTS.COMBAT.TARGET_SCAN_INTERVAL;
+    }
+
+    if (!this.currentTarget) return;
+
+    // Face the target when standing still (movement controls facing otherwise)
+    if (!this.isMoving) {
+      const targetPosition = this.weapon.getPosition(this.currentTarget);
+      this.updateRotation(
+        targetPosition.x - this.sprite.x,
+        targetPosition.y - this.sprite.y
+      );
+    }
+
+    // Firing gives away a camouflaged position for a moment
+    if (this.weapon.fire(this.currentTarget, now) && this.canCamouflage) {
+      this.revealedUntil = now + CONSTANTS.STEALTH.FIRE_REVEAL_TIME;
     }
   }
 
@@ -458,11 +907,13 @@ class Mobile_Object {
    * Clean up resources
    */
   destroy() {
+    if (this.scene.occupancy) this.scene.occupancy.releaseUnit(this);
     this.removeEvents();
     if (this.pathVisualizer) this.pathVisualizer.destroy();
     if (this.sprite) this.sprite.destroy();
     if (this.hitArea) this.hitArea.destroy();
     if (this.selectionCircle) this.selectionCircle.destroy();
+    if (this.healthBar) this.healthBar.destroy();
   }
 }
 
@@ -0,0 +1,74 @@
+// Define AI personalities, each one a different way for the EnemyAI to play
+// Any setting left out falls back to CONSTANTS.AI
+// A personality can also name a behavior tree script (relative to the game page)
+// that replaces the built-in strategy
+const AI_PERSONALITIES = {
+  rusher: {
+    name: "Rusher",
+    description: "Masses infantry early and attacks in small, constant waves",
+    buildOrder: ["barracks", "barracks", "goldMine", "turret"],
+    unitMix: { infantry: 8, rocketeer: 1, sniper: 1 },
+    productionInterval: 2500, // Trains faster than the default
+    firstWaveSize: 3,
+    waveSizeGrowth: 1,
+    maxWaveSize: 10,
+    behaviorTree: "ai/rusher.json",
+  },
+  turtle: {
+    name: "Turtle",
+    description: "Walls in with turrets and only attacks with a large army",
+    buildOrder: [
+      "barracks",
+      "turret",
+      "turret",
+      "goldMine",
+      "turret",
+      "factory",
+      "turret",
+      "goldMine",
+      "turret",
+    ],
+    unitMix: { infantry: 3, rocketeer: 2, sniper: 3, tank: 1 },
+    firstWaveSize: 10,
+    waveSizeGrowth: 4,
+    maxWaveSize: 20,
+    defendRadius: 500,
+  },
+  boomer: {
+    name: "Economic Boomer",
+    description: "Stacks gold mines, then floods tanks from the factory",
+    buildOrder: [
+      "goldMine",
+      "goldMine",
+      "barracks",
+      "goldMine",
+      "factory",
+      "goldMine",
+      "factory",
+    ],
+    unitMix: { infantry: 1, tank: 6 },
+    saveForBuildings: true, // Finish the build order before building an army
+    firstWaveSize: 8,
+    waveSizeGrowth: 3,
+    maxWaveSize: 20,
+  },
+};
+
+/**
+ * Pick a personality by key, or a random one for "random" or unknown keys
+ * @param {String} key - Personality key in AI_PERSONALITIES
+ * @returns {Object} The personality, with its key
+ */
+function getAIPersonality(key) {
+  const keys = Object.keys(AI_PERSONALITIES);
+  const chosen = AI_PERSONALITIES[key]
+    ? key
+    : keys[Math.floor(Math.random() * keys.length)];
+
+  return { key: chosen, ...AI_PERSONALITIES[chosen] };
+}
+
+// Export the AI personalities
+if (typeof module !== "undefined") {
+  module.exports = { AI_PERSONALITIES, getAIPersonality };
+}
@@ -0,0 +1,125 @@
+/**
+ * BehaviorTree - Runs AI scripts authored as JSON
+ * A tree is built from nested node definitions:
+ *   { "type": "selector", "children": [...] }  - first child that doesn't fail
+ *   { "type": "sequence", "children": [...] }  - every child in order
+ *   { "type": "condition", "name": "armySize", "args": { "min": 5 } }
+ *   { "type": "action", "name": "trainUnit", "args": { "unit": "infantry" } }
+ * Conditions may set "negate": true to flip their result.
+ * Condition and action names are looked up in the handlers passed in,
+ * so the runtime itself knows nothing about the game.
+ */
+const BT_STATUS = {
+  SUCCESS: "success",
+  FAILURE: "failure",
+  RUNNING: "running",
+};
+
+class BehaviorTree {
+  /**
+   * Constructor for the BehaviorTree class
+   * @param {Object} definition - Parsed JSON script {name, root}
+   * @param {Object} handlers - {conditions: {name: fn(args)}, actions: {name: fn(args)}}
+   */
+  constructor(definition, handlers) {
+    if (!definition || !definition.root) {
+      throw new Error("Behavior tree is missing its root node");
+    }
+
+    this.name = definition.name || "Unnamed behavior tree";
+    this.handlers = handlers;
+    this.root = this.buildNode(definition.root, "root");
+  }
+
+  /**
+   * Turn a JSON node definition into a runnable node
+   * @param {Object} node - Node definition
+   * @param {String} path - Location in the tree, used in error messages
+   * @returns {Object} Node with a tick() function
+   */
+  buildNode(node, path) {
+    switch (node && node.type) {
+      case "selector":
+      case "sequence": {
+        if (!Array.isArray(node.children) || node.children.length === 0) {
+          throw new Error(`${path}: ${node.type} needs at least one child`);
+        }
+
+        const children = node.children.map((child, index) =>
+          this.buildNode(child, `${path}.children[${index}]`)
+        );
+
+        // A selector stops at the first child that doesn't fail,
+        // a sequence stops at the first child that doesn't succeed
+        const stopOn =
+          node.type === "selector" ? BT_STATUS.FAILURE : BT_STATUS.SUCCESS;
+
+        return {
+          tick: () => {
+            for (const child of children) {
+              const status = child.tick();
+              if (status !== stopOn) return status;
+            }
+            return stopOn;
+          },
+        };
+      }
+
+      case "condition": {
+        const check = this.getHandler("conditions", node.name, path);
+        const args = node.args || {};
+
+        return {
+          tick: () =>
+            !!check(args) !== !!node.negate
+              ? BT_STATUS.SUCCESS
+              : BT_STATUS.FAILURE,
+        };
+      }
+
+      case "action": {
+        const act = this.getHandler("actions", node.name, path);
+        const args = node.args || {};
+
+        return {
+          tick: () => {
+            const result = act(args);
+            if (result === BT_STATUS.RUNNING) return BT_STATUS.RUNNING;
+            return result ? BT_STATUS.SUCCESS : BT_STATUS.FAILURE;
+          },
+        };
+      }
+
+      default:
+        throw new Error(
+          `${path}: unknown node type "${node && node.type}" ` +
+            `(expected selector, sequence, condition or action)`
+        );
+    }
+  }
+
+  // Look up the function behind a condition or action leaf
+  getHandler(kind, name, path) {
+    const handler = this.handlers[kind] && this.handlers[kind][name];
+
+    if (typeof handler !== "function") {
+      const known = Object.keys(this.handlers[kind] || {}).join(", ");
+      throw new Error(`${path}: unknown ${kind} "${name}" (known: ${known})`);
+    }
+
+    return handler;
+  }
+
+  /**
+   * Run the tree once from the root
+   * @returns {String} The root's status, one of BT_STATUS
+   */
+  tick() {
+    return this.root.tick();
+  }
+}
+
+// Export the BehaviorTree class
+if (typeof module !== "undefined") {
+  module.exports = { BehaviorTree, BT_STATUS };
+}
@@ -16,9 +16,43 @@ class Building {
     this.assignedBuilders = []; // Track builders working on this blueprint
     this.maxBuilders = 4; // Maximum number of builders allowed on one blueprint
 
+    // Health properties
+    this.maxHealth =
+      this.buildingData.healthPoints || CONSTANTS.HEALTH.DEFAULT_MAX_HEALTH;
+    this.health = this.maxHealth;
+    this.isDead = false;
+    this.armorType = this.buildingData.armorType;
+
+    // How far the building sees through the fog of war
+    this.visionRange =
+      this.buildingData.visionRange || CONSTANTS.FOG.VISION.DEFAULT;
+    this.isRevealed = true;
+
+    // Completed detector buildings spot camouflaged units
+    this.detectionRange = this.buildingData.detectionRange || 0;
+
+    // Gold mines on one of the map's resource nodes produce more
+    this.productionRate = this.buildingData.productionRate || 0;
+    this.resourceNode =
+      scene.mapLoader && this.type === "goldMine"
+        ? scene.mapLoader.findResourceNode(x, y)
+        : null;
+    if (this.resourceNode) {
+      this.productionRate *= CONSTANTS.MAP.RESOURCE_NODE_BONUS;
+    }
+
+    // Units can't walk through the building's hex, even as a blueprint
+    if (scene.occupancy) {
+      scene.occupancy.reserveBuilding(this);
+    }
+
     // Create the visual representation
     this.createSprite();
 
+    // Floating health bar above the progress bar (hidden while undamaged)
+    this.healthBar = new HealthBar(scene, this.size * 1.2, -this.size * 1.1);
+    this.healthBar.setPosition(this.x, this.y);
+
     // Set up events
     this.setupEvents();
 
@@ -46,48 +80,13 @@ class Building {
     this.sprite.x = this.x;
     this.sprite.y = this.y;
 
-    // Fill with the building color
-    this.sprite.fillStyle(color, this.isBlueprint ? 0.3 : 1); // Semi-transparent for blueprints
-
-    // Draw the appropriate shape based on building type
-    if (this.type === "barracks") {
-      // Rectangle
-      this.sprite.fillRect(-size / 2, -size / 2, size, size);
-    } else if (this.type === "goldMine") {
-      // Hexagon for gold mine
-      this.drawHexagon(0, 0, size * 0.6);
-    } else if (this.type === "factory") {
-      // Triangle
-      this.sprite.beginPath();
-      this.sprite.moveTo(0, -size / 2);
-      this.sprite.lineTo(size / 2, size / 2);
-      this.sprite.lineTo(-size / 2, size / 2);
-      this.sprite.closePath();
-      this.sprite.fillPath();
-    } else if (this.type === "turret") {
-      // Circle with inner circle
-      this.sprite.fillCircle(0, 0, size * 0.5);
-      this.sprite.fillStyle(0x000000, this.isBlueprint ? 0.3 : 1);
-      this.sprite.fillCircle(0, 0, size * 0.25);
-    }
-
-    // Add a border
-    this.sprite.lineStyle(2, this.isBlueprint ? 0x3498db : 0x000000, 1);
-    if (this.type === "barracks") {
-      this.sprite.strokeRect(-size / 2, -size / 2, size, size);
-    } else if (this.type === "goldMine") {
-      this.drawHexagonStroke(0, 0, size * 0.6);
-    } else if (this.type === "factory") {
-      this.sprite.beginPath();
-      this.sprite.moveTo(0, -size / 2);
-      this.sprite.lineTo(size / 2, size / 2);
-      this.sprite.lineTo(-size / 2, size / 2);
-      this.sprite.closePath();
-      this.sprite.strokePath();
-    } else if (this.type === "turret") {
-      this.sprite.lineStyle(2, this.isBlueprint ? 0x3498db : 0x000000, 1);
-      this.sprite.strokeCircle(0, 0, size * 0.5);
-    }
+    // Blueprints are semi-transparent with a blue outline
+    this.drawShape(
+      this.sprite,
+      color,
+      this.isBlueprint ? 0.3 : 1,
+      this.isBlueprint ? 0x3498db : 0x000000
+    );
 
     // Create progress bar for blueprints
     if (this.isBlueprint) {
@@ -148,46 +147,52 @@ class Building {
         }
       );
       this.builderCountText.setOrigin(0.5, 0);
+      this.builderCountText.setVisible(this.isRevealed);
     }
   }
 
-  drawHexagon(x, y, size) {
-    this.sprite.beginPath();
+  drawHexagon(x, y, size, graphics = this.sprite) {
+    graphics.beginPath();
     for (let i = 0; i < 6; i++) {
       const angle = (i * Math.PI) / 3 - Math.PI / 6;
       const pointX = x + size * Math.cos(angle);
       const pointY = y + size * Math.sin(angle);
 
       if (i === 0) {
-        this.sprite.moveTo(pointX, pointY);
+        graphics.moveTo(pointX, pointY);
       } else {
-        this.sprite.lineTo(pointX, pointY);
+        graphics.lineTo(pointX, pointY);
       }
     }
-    this.sprite.closePath();
-    this.sprite.fillPath();
+    graphics.closePath();
+    graphics.fillPath();
   }
 
-  drawHexagonStroke(x, y, size) {
-    this.sprite.beginPath();
+  drawHexagonStroke(x, y, size, graphics = this.sprite) {
+    graphics.beginPath();
     for (let i = 0; i < 6; i++) {
       const angle = (i * Math.PI) / 3 - Math.PI / 6;
       const pointX = x + size * Math.cos(angle);
       const pointY = y + size * Math.sin(angle);
 
       if (i === 0) {
-        this.sprite.moveTo(pointX, pointY);
+        graphics.moveTo(pointX, pointY);
       } else {
-        this.sprite.lineTo(pointX, pointY);
+        graphics.lineTo(pointX, pointY);
       }
     }
-    this.sprite.closePath();
-    this.sprite.strokePath();
+    graphics.closePath();
+    graphics.strokePath();
   }
 
   setupEvents() {
     // Object selection handler
     this.hitArea.on("pointerdown", (pointer) => {
+      // Clicking an enemy building while units are selected orders an attack
+      if (this.scene.onEnemyClicked && this.scene.onEnemyClicked(this)) {
+        return;
+      }
+
       console.log(this.type + " building clicked");
       this.select();
 
@@ -244,6 +249,7 @@ class Building {
   select() {
     this.isSelected = true;
     this.drawSelectionIndicator();
+    this.updateHealthBar();
 
     // Update tooltip text if it exists
     if (this.tooltip) {
@@ -259,6 +265,7 @@ class Building {
     if (this.selectionIndicator) {
       this.selectionIndicator.setVisible(false);
     }
+    this.updateHealthBar();
 
     // Update tooltip text if it exists
     if (this.tooltip) {
@@ -468,22 +475,15 @@ class Building {
     // Check if player can afford it
     if (!this.owner.canAfford(cost)) {
       // Show error message
-      if (this.scene.shop) {
-        this.scene.shop.showMessage(`Cannot afford ${unitType}!`);
-      }
+      this.showOwnerMessage(`Cannot afford ${unitType}!`);
       return;
     }
 
     // Charge the player
     this.owner.spendGold(cost);
 
-    // Create units near barracks
-    const validTiles = this.scene.hexTiles.filter(
-      (hex) =>
-        hex.color === CONSTANTS.COLORS.GRASS &&
-        Math.sqrt(Math.pow(hex.x - this.x, 2) + Math.pow(hex.y - this.y, 2)) <
-          200
-    );
+    // Create units near barracks, on hexes with room for them
+    const validTiles = unitFactory.getSpawnTiles(this.x, this.y);
 
     if (validTiles.length === 0) {
       console.error("No valid tiles found near barracks!");
@@ -534,9 +534,16 @@ class Building {
       }
 
       // Show success message
-      if (this.scene.shop) {
-        this.scene.shop.showMessage(`${unitType} created!`);
-      }
+      this.showOwnerMessage(`${unitType} created!`);
+    }
+
+    return createdUnit;
+  }
+
+  // Show a message in the shop, but only to the player who owns this building
+  showOwnerMessage(text) {
+    if (this.scene.shop && this.owner === this.scene.currentPlayer) {
+      this.scene.shop.showMessage(text);
     }
   }
 
@@ -554,19 +561,109 @@ class Building {
     this.selectionIndicator.y = this.y;
     this.selectionIndicator.lineStyle(2, 0xffffff, 0.8);
     this.selectionIndicator.strokeCircle(0, 0, size * 0.6);
+
+    // Show the firing range of completed turrets
+    if (this.weapon) {
+      this.selectionIndicator.fillStyle(0xff0000, 0.08);
+      this.selectionIndicator.fillCircle(0, 0, this.weapon.range);
+      this.selectionIndicator.lineStyle(1, 0xff0000, 0.5);
+      this.selectionIndicator.strokeCircle(0, 0, this.weapon.range);
+    }
+
     this.selectionIndicator.setVisible(true);
   }
 
+  // Apply damage to this building and destroy it when health runs out
+  takeDamage(amount, source = null) {
+    if (this.isDead || amount <= 0) return 0;
+
+    const applied = Math.min(this.health, amount);
+    this.health -= applied;
+    this.updateHealthBar();
+
+    if (this.health <= 0) {
+      this.die(source);
+    }
+
+    return applied;
+  }
+
+  // Restore health, capped at the maximum
+  heal(amount) {
+    if (this.isDead || amount <= 0) return 0;
+
+    const healed = Math.min(this.maxHealth - this.health, amount);
+    this.health += healed;
+    this.updateHealthBar();
+
+    return healed;
+  }
+
+  getHealthRatio() {
+    return this.maxHealth > 0 ? this.health / this.maxHealth : 0;
+  }
+
+  updateHealthBar() {
+    if (this.healthBar) {
+      this.healthBar.draw(this.health, this.maxHealth, this.isSelected);
+    }
+  }
+
+  // Remove the building from the game after its health reaches zero
+  die(killer = null) {
+    if (this.isDead) return;
+
+    this.isDead = true;
+    this.health = 0;
+    this.isSelected = false;
+    this.currentTarget = null;
+
+    // Release any builders still working on the blueprint
+    [...this.assignedBuilders].forEach((builder) => {
+      if (builder && builder.stopBuilding) {
+        builder.stopBuilding();
+      }
+    });
+    this.assignedBuilders = [];
+
+    // A destroyed gold mine no longer adds to the owner's income
+    if (this.type === "goldMine" && this.isComplete && this.owner) {
+      const economy = this.owner.getEconomy();
+      economy.setProductionRate(
+        economy.getProductionRate() - this.productionRate
+      );
+    }
+
+    // Remove from the scene's building list
+    if (this.scene.buildings) {
+      const index = this.scene.buildings.indexOf(this);
+      if (index !== -1) {
+        this.scene.buildings.splice(index, 1);
+      }
+    }
+
+    // Let the scene clear any references (selection, etc.)
+    if (this.scene.onEntityDestroyed) {
+      this.scene.onEntityDestroyed(this, killer);
+    }
+
+    console.log(`${this.buildingData.name} destroyed`);
+
+    this.destroy();
+  }
+
   getInfo() {
     return {
       type: this.type,
       name: this.buildingData.name,
       description: this.buildingData.description,
       cost: this.buildingData.cost,
-      productionRate: this.buildingData.productionRate || 0,
+      productionRate: this.productionRate,
       isBlueprint: this.isBlueprint,
       buildProgress: this.buildProgress,
       assignedBuilders: this.assignedBuilders.length,
+      health: this.health,
+      maxHealth: this.maxHealth,
     };
   }
 
@@ -642,54 +739,113 @@ class Building {
 
   // Update the building's color based on the owner
   updateBuildingColor() {
-    if (!this.owner || !this.sprite || this.isBlueprint) return;
+    if (!this.sprite || this.isBlueprint) return;
 
     // Redraw the building with the owner's color
     this.sprite.clear();
 
+    // Fill with the player's color but keep the shape
+    // (neutral map structures keep the building's own color)
+    this.drawShape(
+      this.sprite,
+      this.owner ? this.owner.color : this.buildingData.color,
+      1,
+      0x000000
+    );
+  }
+
+  // Draw the building as it currently looks (blueprint or finished)
+  drawSnapshot(graphics) {
+    if (this.isBlueprint) {
+      this.drawShape(graphics, 0x3498db, 0.3, 0x3498db);
+    } else {
+      this.drawShape(
+        graphics,
+        this.owner ? this.owner.color : this.buildingData.color,
+        1,
+        0x000000
+      );
+    }
+  }
+
+  /**
+   * Show or hide the building, e.g. when it enters or leaves the local
+   * player's vision. Hidden buildings can't be clicked.
+   * @param {boolean} revealed - True if the building can be seen
+   */
+  setRevealed(revealed) {
+    if (this.isRevealed === revealed) return;
+    this.isRevealed = revealed;
+
+    [
+      this.sprite,
+      this.hitArea,
+      this.progressBar,
+      this.builderCountText,
+      this.barrel,
+    ].forEach((part) => {
+      if (part) part.setVisible(revealed);
+    });
+
+    if (this.selectionIndicator) {
+      this.selectionIndicator.setVisible(revealed && this.isSelected);
+    }
+    if (this.healthBar) this.healthBar.setHidden(!revealed);
+    if (!revealed && this.tooltip) {
+      this.tooltip.destroy();
+      this.tooltip = null;
+    }
+  }
+
+  /**
+   * Draw the building's shape (it depends on the type) onto a graphics object
+   * @param {Phaser.GameObjects.Graphics} graphics - Where to draw
+   * @param {Number} color - Fill color
+   * @param {Number} alpha - Fill opacity
+   * @param {Number} outlineColor - Border color
+   */
+  drawShape(graphics, color, alpha, outlineColor) {
     const size = this.size;
 
-    // Fill with the player's color but keep the shape
-    this.sprite.fillStyle(this.owner.color, 1);
+    graphics.fillStyle(color, alpha);
 
     // Draw the appropriate shape based on building type
     if (this.type === "barracks") {
       // Rectangle
-      this.sprite.fillRect(-size / 2, -size / 2, size, size);
+      graphics.fillRect(-size / 2, -size / 2, size, size);
     } else if (this.type === "goldMine") {
       // Hexagon for gold mine
-      this.drawHexagon(0, 0, size * 0.6);
+      this.drawHexagon(0, 0, size * 0.6, graphics);
     } else if (this.type === "factory") {
       // Triangle
-      this.sprite.beginPath();
-      this.sprite.moveTo(0, -size / 2);
-      this.sprite.lineTo(size / 2, size / 2);
-      this.sprite.lineTo(-size / 2, size / 2);
-      this.sprite.closePath();
-      this.sprite.fillPath();
+      graphics.beginPath();
+      graphics.moveTo(0, -size / 2);
+      graphics.lineTo(size / 2, size / 2);
+      graphics.lineTo(-size / 2, size / 2);
+      graphics.closePath();
+      graphics.fillPath();
     } else if (this.type === "turret") {
       // Circle with inner circle
-      this.sprite.fillCircle(0, 0, size * 0.5);
-      this.sprite.fillStyle(0x000000, 1);
-      this.sprite.fillCircle(0, 0, size * 0.25);
+      graphics.fillCircle(0, 0, size * 0.5);
+      graphics.fillStyle(0x000000, alpha);
+      graphics.fillCircle(0, 0, size * 0.25);
     }
 
     // Add a border
-    this.sprite.lineStyle(2, 0x000000, 1);
+    graphics.lineStyle(2, outlineColor, 1);
     if (this.type === "barracks") {
-      this.sprite.strokeRect(-size / 2, -size / 2, size, size);
+      graphics.strokeRect(-size / 2, -size / 2, size, size);
     } else if (this.type === "goldMine") {
-      this.drawHexagonStroke(0, 0, size * 0.6);
+      this.drawHexagonStroke(0, 0, size * 0.6, graphics);
     } else if (this.type === "factory") {
-      this.sprite.beginPath();
-      this.sprite.moveTo(0, -size / 2);
-      this.sprite.lineTo(size / 2, size / 2);
-      this.sprite.lineTo(-size / 2, size / 2);
-      this.sprite.closePath();
-      this.sprite.strokePath();
+      graphics.beginPath();
+      graphics.moveTo(0, -size / 2);
+      graphics.lineTo(size / 2, size / 2);
+      graphics.lineTo(-size / 2, size / 2);
+      graphics.closePath();
+      graphics.strokePath();
     } else if (this.type === "turret") {
-      this.sprite.lineStyle(2, 0x000000, 1);
-      this.sprite.strokeCircle(0, 0, size * 0.5);
+      graphics.strokeCircle(0, 0, size * 0.5);
     }
   }
 
@@ -727,11 +883,7 @@ class Building {
     this.updateBuildingColor();
 
     // Show success message
-    if (this.scene.shop) {
-      this.scene.shop.showMessage(
-        `${this.buildingData.name} construction complete!`
-      );
-    }
+    this.showOwnerMessage(`${this.buildingData.name} construction complete!`);
 
     // Activate building's functionality
     this.activateBuilding();
@@ -746,14 +898,90 @@ class Building {
     if (this.type === "goldMine" && this.owner) {
       // Update player's production rate for gold mines
       const currentRate = this.owner.getEconomy().getProductionRate();
-      const mineRate = this.buildingData.productionRate;
+      const mineRate = this.productionRate;
       this.owner.getEconomy().setProductionRate(currentRate + mineRate);
       console.log(`New production rate: ${currentRate + mineRate} gold/min`);
     }
+
+    if (this.type === "turret") {
+      // Turrets get a weapon and a barrel that tracks their target
+      this.weapon = new Weapon(this.scene, this, {
+        range: this.buildingData.range,
+        minRange: this.buildingData.minRange,
+        damage: this.buildingData.damage,
+        fireRate: this.buildingData.fireRate,
+        damageType: this.buildingData.damageType,
+        projectile: this.buildingData.projectile,
+      });
+      this.currentTarget = null;
+      this.nextTargetScanTime = 0;
+      this.createTurretBarrel();
+
+      // Refresh the selection indicator so it includes the range circle
+      if (this.isSelected) {
+        this.drawSelectionIndicator();
+      }
+    }
+  }
+
+  // Draw the turret barrel as a separate graphic so it can rotate
+  createTurretBarrel() {
+    this.barrel = this.scene.add.graphics();
+    this.barrel.x = this.x;
+    this.barrel.y = this.y;
+    this.barrel.setVisible(this.isRevealed);
+
+    // Barrel points along the positive x axis at rotation 0
+    this.barrel.fillStyle(0x333333, 1);
+    this.barrel.fillRect(0, -3, this.size * 0.8, 6);
+    this.barrel.fillStyle(0x222222, 1);
+    this.barrel.fillCircle(0, 0, this.size * 0.2);
+  }
+
+  // Aim at and fire on the nearest enemy in range
+  updateTurret() {
+    const now = this.scene.time.now;
+
+    // Drop the current target once it dies or leaves range
+    if (this.currentTarget && !this.weapon.isValidTarget(this.currentTarget)) {
+      this.currentTarget = null;
+    }
+
+    // Look for a new target periodically rather than every frame
+    if (!this.currentTarget && now >= this.nextTargetScanTime) {
+      this.currentTarget = this.weapon.acquireTarget();
+      this.nextTargetScanTime = now + CONSTANTS.COMBAT.TARGET_SCAN_INTERVAL;
+    }
+
+    if (!this.currentTarget) return;
+
+    // Rotate the barrel towards the target
+    const targetPosition = this.weapon.getPosition(this.currentTarget);
+    const targetAngle = Math.atan2(
+      targetPosition.y - this.y,
+      targetPosition.x - this.x
+    );
+    this.barrel.rotation = Phaser.Math.Angle.RotateTo(
+      this.barrel.rotation,
+      targetAngle,
+      this.buildingData.turnSpeed
+    );
+
+    // Only fire once the barrel is lined up with the target
+    const aimError = Math.abs(
+      Phaser.Math.Angle.Wrap(targetAngle - this.barrel.rotation)
+    );
+    if (aimError < 0.1) {
+      this.weapon.fire(this.currentTarget, now);
+    }
   }
 
   update() {
     // Building-specific update logic
+    if (this.type === "turret" && this.weapon && !this.isBlueprint) {
+      this.updateTurret();
+    }
+
     if (this.type === "goldMine" && this.owner && !this.isBlueprint) {
       // Gold mines generate gold for the owner (only when construction is complete)
       if (this.lastProductionTime === undefined) {
@@ -767,7 +995,7 @@ class Building {
       if (elapsedTimeInMinutes > 0.1) {
         // Update every 6 seconds for smoother increments
         const goldProduced = Math.floor(
-          this.buildingData.productionRate * elapsedTimeInMinutes
+          this.productionRate * elapsedTimeInMinutes
         );
         if (goldProduced > 0) {
           this.owner.addGold(goldProduced);
@@ -778,6 +1006,9 @@ class Building {
   }
 
   destroy() {
+    if (this.scene.occupancy) {
+      this.scene.occupancy.releaseBuilding(this);
+    }
     if (this.sprite) {
       this.sprite.destroy();
     }
@@ -793,7 +1024,18 @@ class Building {
     if (this.builderCountText) {
       this.builderCountText.destroy();
     }
+    if (this.healthBar) {
+      this.healthBar.destroy();
+    }
+    if (this.barrel) {
+      this.barrel.destroy();
+    }
+    if (this.tooltip) {
+      this.tooltip.destroy();
+      this.tooltip = null;
+    }
     this.hideBarracksUI();
+    this.hideFactoryUI();
   }
 
   // Show UI for vehicle production from factory
@@ -980,22 +1222,15 @@ class Building {
     // Check if player can afford it
     if (!this.owner.canAfford(cost)) {
       // Show error message
-      if (this.scene.shop) {
-        this.scene.shop.showMessage(`Cannot afford ${vehicleType}!`);
-      }
+      this.showOwnerMessage(`Cannot afford ${vehicleType}!`);
       return;
     }
 
     // Charge the player
     this.owner.spendGold(cost);
 
-    // Create vehicle near factory
-    const validTiles = this.scene.hexTiles.filter(
-      (hex) =>
-        hex.color === CONSTANTS.COLORS.GRASS &&
-        Math.sqrt(Math.pow(hex.x - this.x, 2) + Math.pow(hex.y - this.y, 2)) <
-          200
-    );
+    // Create vehicle near factory, on a hex with room for it
+    const validTiles = unitFactory.getSpawnTiles(this.x, this.y);
 
     if (validTiles.length === 0) {
       console.error("No valid tiles found near factory!");
@@ -1026,10 +1261,10 @@ class Building {
       this.owner.addUnit(createdVehicle);
 
       // Show success message
-      if (this.scene.shop) {
-        this.scene.shop.showMessage(`${vehicleType} created!`);
-      }
+      this.showOwnerMessage(`${vehicleType} created!`);
     }
+
+    return createdVehicle;
   }
 }
 
@@ -1042,6 +1277,8 @@ const BUILDING_TYPES = {
     color: 0x8b4513, // Brown
     buildTime: 30, // seconds (increased for slower building)
     healthPoints: 500,
+    armorType: "STRUCTURE",
+    visionRange: 220,
   },
   goldMine: {
     name: "Gold Mine",
@@ -1050,7 +1287,9 @@ const BUILDING_TYPES = {
     color: 0xffd700, // Gold
     buildTime: 45, // seconds (increased for slower building)
     healthPoints: 400,
+    armorType: "STRUCTURE",
     productionRate: 100, // Gold per minute
+    visionRange: 180,
   },
   factory: {
     name: "Factory",
@@ -1059,6 +1298,8 @@ const BUILDING_TYPES = {
     color: 0x708090, // Slate gray
     buildTime: 60, // seconds (increased for slower building)
     healthPoints: 600,
+    armorType: "STRUCTURE",
+    visionRange: 220,
   },
   turret: {
     name: "Turret",
@@ -1067,7 +1308,15 @@ const BUILDING_TYPES = {
     color: 0x696969, // Dim gray
     buildTime: 25, // seconds (increased for slower building)
     healthPoints: 300,
+    armorType: "STRUCTURE",
     damage: 50,
     range: 200,
+    minRange: 0,
+    fireRate: 1500, // Milliseconds between shots
+    damageType: "ARMOR_PIERCING",
+    projectile: "BULLET",
+    turnSpeed: 0.1, // Radians the barrel turns per frame
+    visionRange: 300, // Sees a little past its range
+    detectionRange: 150, // Spots camouflaged units this close
   },
 };
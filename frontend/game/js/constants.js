@@ -8,12 +8,62 @@ const CONSTANTS = {
   get HEX_WIDTH() {
     return Math.sqrt(3) * this.HEX_SIZE;
   },
-  GRID_SIZE: 100,
+
+  // Maps (see mapLoader.js for the map file format)
+  MAP: {
+    DEFAULT: "classic", // Key in MAP_LIBRARY used when no map is chosen
+    RESOURCE_RADIUS: 60, // How close a gold mine must be to a resource node
+    RESOURCE_NODE_BONUS: 1.5, // Income multiplier for mines on a node
+    RESOURCE_COLOR: 0xffd700, // Gold
+    // Largest share by which one player can be further than another from
+    // the throne or gold before the map validator warns
+    FAIRNESS_TOLERANCE: 0.25,
+    // Drawing the map (see hexLayer.js)
+    CHUNK_SIZE: 16, // Hexes along each side of a chunk
+    TEXTURE_SCALE: 2, // Hexes are drawn larger so they stay sharp zoomed in
+
+    // Random maps (map setting "generated", see mapGenerator.js)
+    GENERATOR: {
+      WIDTH: 40, // Hexes
+      HEIGHT: 30,
+      MIN_SIZE: 16,
+      MAX_SIZE: 256,
+      LAND_RATIO: 0.45, // Share of the map that is land
+      ISLANDS: 1, // Islands in each player's part of the map
+      SYMMETRY: "mirror", // "mirror" or "rotational"
+      RESOURCES_PER_PLAYER: 2,
+      // Sizes offered in the menu
+      SIZES: {
+        small: { width: 28, height: 22 },
+        medium: { width: 40, height: 30 },
+        large: { width: 64, height: 48 },
+      },
+    },
+
+    // Map editor (editor.html, see mapEditor.js)
+    EDITOR: {
+      WIDTH: 30, // Hexes in a new map
+      HEIGHT: 20,
+      MIN_SIZE: 8,
+      MAX_SIZE: 128,
+      MAX_BRUSH_RADIUS: 5, // Hexes out from the centre of the brush
+      UNDO_LIMIT: 100, // Edits kept in the undo history
+      STORAGE_KEY: "throneWars.maps", // localStorage key for saved maps
+      // Start position markers for players 1 to 4 (1 and 2 match the game)
+      PLAYER_COLORS: [0xff0000, 0x0000ff, 0xffa500, 0x9932cc],
+    },
+  },
 
   // Colors
   COLORS: {
     GRASS: 0x3da63d, // Green
     OCEAN: 0x1a75ff, // Blue
+    FOREST: 0x1f6e2e, // Dark green
+    HILLS: 0x8c9a4a, // Olive
+    MOUNTAINS: 0x7d7468, // Grey-brown
+    ROAD: 0xbfa27a, // Tan
+    SAND: 0xe3d08f, // Pale yellow
+    SHALLOWS: 0x4d9bff, // Light blue
     TANK: 0x8b4513, // Brown
     TANK_TURRET: 0x654321, // Dark Brown
     SOLDIER: 0x228b22, // Forest Green
@@ -28,6 +78,7 @@ const CONSTANTS = {
     CAMERA_SPEED: 40,
     TANK_SPEED: 0.5,
     SOLDIER_SPEED: 3.5, // Soldiers are faster than tanks
+    UNITS_PER_HEX: 1, // Units that can stop on one hex (see hexOccupancy.js)
   },
 
   // Path visualization
@@ -38,6 +89,14 @@ const CONSTANTS = {
     OPACITY: 0.8,
   },
 
+  // Path finding (see pathfinding.js)
+  PATHFINDING: {
+    // Random paths per movement class timed by benchmark mode
+    // (match setting benchmark=paths)
+    BENCHMARK_PATHS: 100,
+    BENCHMARK_SEED: 1,
+  },
+
   // Selection properties
   SELECTION: {
     CIRCLE_SIZE: 1.5, // How much bigger the selection circle is than the unit
@@ -45,6 +104,223 @@ const CONSTANTS = {
     OPACITY: 0.8,
   },
 
+  // Health bar settings
+  HEALTH: {
+    DEFAULT_MAX_HEALTH: 100,
+    BAR_WIDTH: 30,
+    BAR_HEIGHT: 4,
+    MEDIUM_THRESHOLD: 0.6, // Bar turns yellow below 60%
+    LOW_THRESHOLD: 0.3, // Bar turns red below 30%
+    COLORS: {
+      HIGH: 0x00ff00, // Green
+      MEDIUM: 0xffcc00, // Yellow
+      LOW: 0xff0000, // Red
+    },
+  },
+
+  // Combat settings
+  COMBAT: {
+    TARGET_SCAN_INTERVAL: 250, // Milliseconds between enemy scans
+    CHASE_REPATH_INTERVAL: 500, // Milliseconds between repaths when chasing
+    DEFAULT_ARMOR_TYPE: "LIGHT_INFANTRY",
+    DEFAULT_DAMAGE_TYPE: "BULLET",
+
+    // Damage multiplier for each damage type (rows) against each armor type
+    // (columns). Tune the rock-paper-scissors balance here:
+    // - Rockets (armor-piercing) counter tanks
+    // - Snipers (precision) counter infantry
+    // - Tank shells (explosive) counter buildings
+    DAMAGE_MATRIX: {
+      BULLET: { LIGHT_INFANTRY: 1.0, HEAVY_VEHICLE: 0.25, STRUCTURE: 0.2 },
+      ARMOR_PIERCING: {
+        LIGHT_INFANTRY: 0.5,
+        HEAVY_VEHICLE: 2.0,
+        STRUCTURE: 0.75,
+      },
+      EXPLOSIVE: { LIGHT_INFANTRY: 0.75, HEAVY_VEHICLE: 0.75, STRUCTURE: 2.0 },
+      PRECISION: { LIGHT_INFANTRY: 2.0, HEAVY_VEHICLE: 0.2, STRUCTURE: 0.1 },
+    },
+  },
+
+  // Weapon profiles (range and minRange in pixels, fireRate in ms between shots)
+  WEAPONS: {
+    INFANTRY: {
+      range: 150,
+      minRange: 0,
+      damage: 10,
+      fireRate: 800,
+      damageType: "BULLET",
+      projectile: "BULLET",
+    },
+    SNIPER: {
+      range: 320,
+      minRange: 60,
+      damage: 45,
+      fireRate: 2500,
+      damageType: "PRECISION",
+      projectile: "TRACER",
+    },
+    ROCKETEER: {
+      range: 220,
+      minRange: 50,
+      damage: 40,
+      fireRate: 2200,
+      damageType: "ARMOR_PIERCING",
+      projectile: "ROCKET",
+    },
+    TANK: {
+      range: 260,
+      minRange: 80,
+      damage: 60,
+      fireRate: 3000,
+      damageType: "EXPLOSIVE",
+      projectile: "SHELL",
+    },
+  },
+
+  // Projectile settings (speed in pixels per second, durations in ms)
+  PROJECTILES: {
+    BULLET: { speed: 900, hitRadius: 14, color: 0xffee88, size: 2 },
+    ROCKET: { speed: 350, hitRadius: 18, color: 0xdddddd, size: 3 },
+    TRACER: { duration: 150, color: 0xffffcc, width: 2 },
+    SHELL: {
+      speed: 400,
+      hitRadius: 20,
+      splashRadius: 60,
+      arcHeight: 60,
+      color: 0x222222,
+      size: 4,
+    },
+    MUZZLE_FLASH: { duration: 80, color: 0xffcc33, size: 6 },
+    EXPLOSION: { duration: 250, color: 0xff6600 },
+  },
+
+  // Victory conditions
+  VICTORY: {
+    // "destroyBuildings", "eliminateUnits" or "holdThrone"
+    DEFAULT_CONDITION: "destroyBuildings",
+    CHECK_INTERVAL: 500, // Milliseconds between win/loss checks
+    THRONE_RADIUS: 120, // Units within this distance contest the throne
+    THRONE_HOLD_TIME: 60, // Seconds a player must hold the throne alone
+    MENU_URL: "/menu/menu.html",
+  },
+
+  // Fog of war (vision ranges in pixels)
+  FOG: {
+    UPDATE_INTERVAL: 200, // Milliseconds between vision updates
+    DEPTH: 20, // Above units and health bars, below the UI
+    UNEXPLORED_COLOR: 0x000000,
+    EXPLORED_ALPHA: 0.55, // How dark explored hexes outside vision are
+    VISION: {
+      DEFAULT: 200,
+      BUILDER: 180,
+      INFANTRY: 220,
+      ROCKETEER: 220,
+      SNIPER: 340, // A little past its weapon range
+      SCOUT: 480, // Sees far ahead of the army
+      TANK: 200, // Needs spotters to use its full range
+    },
+  },
+
+  // Camouflage (snipers) and detection (scouts, turrets)
+  STEALTH: {
+    CAMOUFLAGE_DELAY: 2000, // Milliseconds standing still before hiding
+    FIRE_REVEAL_TIME: 1500, // Milliseconds a shot gives away the position
+    CAMOUFLAGE_ALPHA: 0.45, // How faded the owner sees camouflaged units
+    SCOUT_DETECTION_RANGE: 180,
+  },
+
+  // Minimap in the bottom-left corner
+  MINIMAP: {
+    WIDTH: 200, // Pixels (the height follows the map's shape)
+    MARGIN: 10, // Gap to the left edge of the screen
+    BOTTOM_OFFSET: 50, // Room for the deselect hint below it
+    DEPTH: 100, // Same as the rest of the UI
+    UPDATE_INTERVAL: 250, // Milliseconds between dot redraws
+    UNIT_SIZE: 3,
+    BUILDING_SIZE: 5,
+    BORDER_COLOR: 0xffffff,
+    VIEWPORT_COLOR: 0xffffff,
+  },
+
+  // Enemy AI settings
+  AI: {
+    DEFAULT_PERSONALITY: "random", // Key in AI_PERSONALITIES, or "random"
+    THINK_INTERVAL: 1000, // Milliseconds between AI decisions
+    PRODUCTION_INTERVAL: 4000, // Milliseconds between unit orders
+    // Buildings the AI wants, in order (lost buildings are rebuilt)
+    BUILD_ORDER: [
+      "barracks",
+      "goldMine",
+      "turret",
+      "factory",
+      "goldMine",
+      "turret",
+      "barracks",
+    ],
+    BASE_RADIUS: 350, // How far from its start the AI places buildings
+    BUILDING_SPACING: 100, // Minimum distance between AI buildings
+    MIN_BUILDERS: 2, // Train builders until the AI has this many
+    SAVE_FOR_BUILDINGS: false, // Stop training units until the base is built
+    // Relative weights for which unit to train next
+    UNIT_MIX: { infantry: 5, rocketeer: 2, sniper: 1, tank: 2 },
+    FIRST_WAVE_SIZE: 4, // Units gathered before the first attack
+    WAVE_SIZE_GROWTH: 2, // Extra units in each following wave
+    MAX_WAVE_SIZE: 16,
+    DEFEND_RADIUS: 400, // Enemies this close to the base are engaged
+  },
+
+  // Unit micro for computer-controlled players
+  TACTICS: {
+    MICRO_INTERVAL: 300, // Milliseconds between tactical decisions
+    ENGAGE_RADIUS: 350, // Units with enemies this close are micro-managed
+    FOCUS_MARGIN: 40, // Extra reach when choosing a focus-fire target
+    RETREAT_HEALTH: 0.35, // Units below this health ratio fall back
+    KITE_DISTANCE: 0.6, // Snipers back off inside this fraction of their range
+    KITE_STEP: 120, // How far a sniper backs off at a time
+    ESCORT_DISTANCE: 80, // How far behind the infantry rocketeers stay
+  },
+
+  // AI difficulty levels, chosen in the menu's Settings
+  DIFFICULTY: {
+    DEFAULT: "normal",
+    SETTINGS_KEY: "throneWars.settings", // localStorage key shared with the menu
+    LEVELS: {
+      easy: {
+        name: "Easy",
+        startingGold: 300, // Player 2's starting gold
+        productionBonus: 0, // Extra gold per minute for Player 2
+        waveInterval: 240000, // Milliseconds between spawned enemy waves
+        waveSize: 2,
+        unitMix: { infantry: 1 },
+      },
+      normal: {
+        name: "Normal",
+        startingGold: 500,
+        productionBonus: 0,
+        waveInterval: 180000,
+        waveSize: 3,
+        unitMix: { infantry: 5, rocketeer: 2, sniper: 1, tank: 2 },
+      },
+      hard: {
+        name: "Hard",
+        startingGold: 800,
+        productionBonus: 150,
+        waveInterval: 120000,
+        waveSize: 5,
+        unitMix: { infantry: 4, rocketeer: 3, sniper: 2, tank: 2 },
+      },
+      extreme: {
+        name: "Extreme",
+        startingGold: 1200,
+        productionBonus: 350,
+        waveInterval: 75000,
+        waveSize: 8,
+        unitMix: { infantry: 3, rocketeer: 3, sniper: 2, tank: 3 },
+      },
+    },
+  },
+
   // Economy settings
   ECONOMY: {
     INITIAL_GOLD: 500,
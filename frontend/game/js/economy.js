@@ -107,6 +107,13 @@ class PlayerEconomy {
     this.lastUpdateTime = currentTime;
   }
 
+  // Stop producing gold (e.g. when the match is over)
+  pauseProduction() {
+    if (this.productionTimer) {
+      this.productionTimer.paused = true;
+    }
+  }
+
   addGold(amount) {
     if (amount <= 0) return;
 
@@ -140,6 +147,11 @@ class PlayerEconomy {
     return this.gold;
   }
 
+  setGold(amount) {
+    this.gold = Math.max(0, amount);
+    this.updateUI();
+  }
+
   getProductionRate() {
     return this.productionRate;
   }
@@ -0,0 +1,458 @@
+document.addEventListener("DOMContentLoaded", function () {
+  // Editor configuration (the toolbar is HTML above the map)
+  const config = {
+    type: Phaser.AUTO,
+    width: window.innerWidth,
+    height: window.innerHeight,
+    backgroundColor: CONSTANTS.COLORS.OCEAN,
+    parent: "game-container",
+    scene: {
+      preload: preload,
+      create: create,
+      update: update,
+    },
+  };
+
+  const game = new Phaser.Game(config);
+
+  let keys;
+  let editor;
+  let panStart = null; // Pointer and camera position when a right-drag began
+
+  // The map to open first: ?map=<key> from the library or saved maps
+  const startMapSetting = new URLSearchParams(window.location.search).get(
+    "map"
+  );
+
+  function preload() {
+    const mapPath = getMapPath(startMapSetting);
+    if (mapPath) {
+      this.load.json(mapPath, mapPath);
+    }
+  }
+
+  function create() {
+    try {
+      const scene = this;
+
+      editor = new MapEditor(scene);
+      scene.mapEditor = editor;
+      scene.onMapEdited = updateToolbar;
+
+      openMap(scene, loadStartMap(scene));
+      setupToolbar(scene);
+
+      // Camera: WASD to pan, mouse wheel to zoom, or drag with the right
+      // button (keys aren't captured so they still type in the toolbar)
+      keys = this.input.keyboard.addKeys(
+        {
+          up: Phaser.Input.Keyboard.KeyCodes.W,
+          left: Phaser.Input.Keyboard.KeyCodes.A,
+          down: Phaser.Input.Keyboard.KeyCodes.S,
+          right: Phaser.Input.Keyboard.KeyCodes.D,
+        },
+        false
+      );
+      this.input.mouse.disableContextMenu();
+
+      this.input.on(
+        "wheel",
+        function (pointer, gameObjects, deltaX, deltaY, deltaZ) {
+          const zoomAmount = deltaY > 0 ? 0.9 : 1.1;
+          scene.cameras.main.zoom = Phaser.Math.Clamp(
+            scene.cameras.main.zoom * zoomAmount,
+            0.25,
+            2
+          );
+        }
+      );
+
+      // Left button edits, right button pans
+      this.input.on("pointerdown", function (pointer) {
+        if (pointer.rightButtonDown()) {
+          panStart = {
+            x: pointer.x,
+            y: pointer.y,
+            scrollX: scene.cameras.main.scrollX,
+            scrollY: scene.cameras.main.scrollY,
+          };
+          return;
+        }
+        editor.startStroke(pointer.worldX, pointer.worldY);
+      });
+
+      this.input.on("pointermove", function (pointer) {
+        if (panStart) {
+          const camera = scene.cameras.main;
+          camera.scrollX =
+            panStart.scrollX - (pointer.x - panStart.x) / camera.zoom;
+          camera.scrollY =
+            panStart.scrollY - (pointer.y - panStart.y) / camera.zoom;
+          return;
+        }
+        if (pointer.isDown) {
+          editor.continueStroke(pointer.worldX, pointer.worldY);
+        }
+        editor.drawCursor(pointer.worldX, pointer.worldY);
+      });
+
+      this.input.on("pointerup", function () {
+        panStart = null;
+        editor.endStroke();
+      });
+
+      // Ctrl+Z to undo, Ctrl+Y or Ctrl+Shift+Z to redo
+      document.addEventListener("keydown", function (event) {
+        if (!event.ctrlKey && !event.metaKey) return;
+        if (["INPUT", "SELECT", "TEXTAREA"].includes(event.target.tagName)) {
+          return;
+        }
+
+        const key = event.key.toLowerCase();
+        if (key === "z" && !event.shiftKey) {
+          editor.undo();
+          event.preventDefault();
+        } else if (key === "y" || (key === "z" && event.shiftKey)) {
+          editor.redo();
+          event.preventDefault();
+        }
+      });
+
+      window.addEventListener("resize", function () {
+        game.scale.resize(window.innerWidth, window.innerHeight);
+      });
+
+      console.log("Map editor ready");
+    } catch (err) {
+      console.error("Error in create function:", err);
+    }
+  }
+
+  function update() {
+    if (!keys) return;
+
+    const camera = this.cameras.main;
+    const speed = CONSTANTS.MOVEMENT.CAMERA_SPEED / camera.zoom;
+    if (keys.up.isDown) camera.scrollY -= speed;
+    if (keys.down.isDown) camera.scrollY += speed;
+    if (keys.left.isDown) camera.scrollX -= speed;
+    if (keys.right.isDown) camera.scrollX += speed;
+  }
+
+  // Get the map to open first, or a blank one
+  function loadStartMap(scene) {
+    const savedMapName = getSavedMapName(startMapSetting);
+    const mapPath = getMapPath(startMapSetting);
+
+    try {
+      if (savedMapName) {
+        return getSavedMap(savedMapName);
+      }
+      if (mapPath) {
+        return MapLoader.parse(scene.cache.json.get(mapPath));
+      }
+    } catch (err) {
+      showStatus(`Could not open map: ${err.message}`, true);
+    }
+
+    return MapEditor.createBlankMap(
+      CONSTANTS.MAP.EDITOR.WIDTH,
+      CONSTANTS.MAP.EDITOR.HEIGHT
+    );
+  }
+
+  // Start editing a map and fit the camera to it
+  function openMap(scene, map) {
+    editor.setMap(map);
+    document.getElementById("map-name").value = editor.name;
+    document.getElementById("map-width").value = editor.width;
+    document.getElementById("map-height").value = editor.height;
+
+    const camera = scene.cameras.main;
+    const bounds = editor.grid.getBounds();
+    camera.centerOn(0, 0);
+    camera.zoom = Phaser.Math.Clamp(
+      Math.min(
+        camera.width / (bounds.width + CONSTANTS.HEX_WIDTH * 2),
+        camera.height / (bounds.height + CONSTANTS.HEX_HEIGHT * 2)
+      ),
+      0.25,
+      1
+    );
+  }
+
+  // Connect the toolbar's controls to the editor
+  function setupToolbar(scene) {
+    const byId = (id) => document.getElementById(id);
+
+    // Tool buttons
+    document.querySelectorAll("[data-tool]").forEach((button) => {
+      button.addEventListener("click", function () {
+        editor.tool = button.dataset.tool;
+        updateToolbar();
+      });
+    });
+
+    // Terrain choices come from TERRAIN_TYPES
+    const terrainSelect = byId("terrain-type");
+    Object.keys(TERRAIN_TYPES).forEach((terrain) => {
+      const option = document.createElement("option");
+      option.value = terrain;
+      option.textContent = terrain.charAt(0).toUpperCase() + terrain.slice(1);
+      terrainSelect.appendChild(option);
+    });
+    terrainSelect.value = editor.terrainType;
+    terrainSelect.addEventListener("change", function () {
+      editor.terrainType = terrainSelect.value;
+      if (editor.tool !== "fill") editor.tool = "terrain";
+      updateToolbar();
+    });
+
+    const brushRadius = byId("brush-radius");
+    brushRadius.max = CONSTANTS.MAP.EDITOR.MAX_BRUSH_RADIUS;
+    brushRadius.value = editor.brushRadius;
+    brushRadius.addEventListener("input", function () {
+      editor.brushRadius = Number(brushRadius.value);
+      updateToolbar();
+    });
+
+    byId("symmetry").addEventListener("change", function () {
+      editor.symmetry = byId("symmetry").value;
+    });
+    byId("start-player").addEventListener("change", function () {
+      editor.player = Number(byId("start-player").value);
+      editor.tool = "start";
+      updateToolbar();
+    });
+
+    byId("undo").addEventListener("click", () => editor.undo());
+    byId("redo").addEventListener("click", () => editor.redo());
+
+    byId("map-name").addEventListener("change", function () {
+      editor.name = byId("map-name").value.trim();
+    });
+
+    byId("new-map").addEventListener("click", function () {
+      const size = (id, fallback) => {
+        const value = Math.round(Number(byId(id).value)) || fallback;
+        return Phaser.Math.Clamp(
+          value,
+          CONSTANTS.MAP.EDITOR.MIN_SIZE,
+          CONSTANTS.MAP.EDITOR.MAX_SIZE
+        );
+      };
+      openMap(
+        scene,
+        MapEditor.createBlankMap(
+          size("map-width", CONSTANTS.MAP.EDITOR.WIDTH),
+          size("map-height", CONSTANTS.MAP.EDITOR.HEIGHT),
+          byId("map-name").value.trim() || "Untitled"
+        )
+      );
+      showStatus("Started a new map");
+    });
+
+    byId("check-map").addEventListener("click", function () {
+      const map = checkMap();
+      if (map) showReport(validateMap(map));
+    });
+
+    // Saving and loading (maps that can't be played yet can still be
+    // saved, so work isn't lost; only Play and Download need a valid map)
+    byId("save-map").addEventListener("click", function () {
+      if (!checkName()) return;
+      const map = editor.toMap();
+      saveMap(map);
+      updateSavedMaps(map.name);
+
+      try {
+        showReport(validateMap(MapLoader.parse(map)), `Saved "${map.name}".`);
+      } catch (err) {
+        editor.showProblems([]);
+        showStatus(
+          `Saved "${map.name}". The map can't be played: ${err.message}`,
+          true
+        );
+      }
+    });
+
+    byId("load-map").addEventListener("click", function () {
+      const name = byId("saved-maps").value;
+      if (!name) return;
+      try {
+        openMap(scene, getSavedMap(name));
+        showStatus(`Opened "${name}"`);
+      } catch (err) {
+        showStatus(`Could not open "${name}": ${err.message}`, true);
+      }
+    });
+
+    byId("delete-map").addEventListener("click", function () {
+      const name = byId("saved-maps").value;
+      if (!name || !window.confirm(`Delete the saved map "${name}"?`)) return;
+      deleteSavedMap(name);
+      updateSavedMaps();
+      showStatus(`Deleted "${name}"`);
+    });
+
+    byId("download-map").addEventListener("click", function () {
+      const map = checkMap();
+      if (!map) return;
+      showReport(validateMap(map), `Downloaded "${map.name}".`);
+
+      const blob = new Blob([JSON.stringify(map, null, 2)], {
+        type: "application/json",
+      });
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(blob);
+      link.download = `${map.name
+        .replace(/[^a-z0-9]+/gi, "_")
+        .toLowerCase()}.json`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    });
+
+    byId("open-file").addEventListener("change", function () {
+      const file = byId("open-file").files[0];
+      if (!file) return;
+
+      const reader = new FileReader();
+      reader.onload = function () {
+        try {
+          openMap(scene, MapLoader.parse(JSON.parse(reader.result)));
+          showStatus(`Opened ${file.name}`);
+        } catch (err) {
+          showStatus(`Could not open ${file.name}: ${err.message}`, true);
+        }
+      };
+      reader.readAsText(file);
+      byId("open-file").value = "";
+    });
+
+    // Save, then start a match on the map if it can be played
+    byId("play-map").addEventListener("click", function () {
+      const map = checkMap();
+      if (!map) return;
+      const report = validateMap(map);
+      if (report.errors.length > 0) {
+        showReport(report);
+        return;
+      }
+
+      saveMap(map);
+      window.location.href = `/game/?map=${encodeURIComponent(
+        SAVED_MAP_PREFIX + map.name
+      )}`;
+    });
+
+    updateSavedMaps();
+    updateToolbar();
+  }
+
+  /**
+   * Check the edited map before it is played or downloaded
+   * @returns {Object} The map, or null (with the problem shown) if invalid
+   */
+  function checkMap() {
+    if (!checkName()) return null;
+
+    try {
+      return MapLoader.parse(editor.toMap());
+    } catch (err) {
+      showStatus(err.message, true);
+      return null;
+    }
+  }
+
+  // Take the map name from the name box, complaining if it's empty
+  function checkName() {
+    editor.name = document.getElementById("map-name").value.trim();
+    if (!editor.name) {
+      showStatus("Give the map a name first", true);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Get a map saved from the editor
+   * Saved maps aren't parsed, since they may not be playable yet
+   * @param {String} name - Name the map was saved under
+   * @returns {Object} The map data, as MapEditor.toMap made it
+   */
+  function getSavedMap(name) {
+    const map = getSavedMaps()[name];
+    if (!map) throw new Error(`There is no saved map called "${name}"`);
+    return map;
+  }
+
+  // Run MapValidator on a map and outline the hexes with problems
+  function validateMap(map) {
+    const report = MapValidator.validate(map);
+    editor.showProblems(report.problemHexes);
+    return report;
+  }
+
+  /**
+   * Show what MapValidator found
+   * @param {Object} report - Report from MapValidator.validate
+   * @param {String} prefix - Text to show first, e.g. "Saved ..."
+   */
+  function showReport(report, prefix = "") {
+    if (report.errors.length > 0) {
+      showStatus(
+        `${prefix} The map can't be played: ${report.errors.join("; ")}`.trim(),
+        true
+      );
+      return;
+    }
+
+    const steps = (key) =>
+      report.distances
+        .map(
+          (entry) =>
+            `P${entry.player} ${entry[key] === -1 ? "none" : entry[key]}`
+        )
+        .join(", ");
+    const summary = `Hexes to the throne: ${steps(
+      "throne"
+    )}. Hexes to gold: ${steps("gold")}.`;
+    const warnings =
+      report.warnings.length > 0
+        ? `Warnings: ${report.warnings.join("; ")}.`
+        : "No problems found.";
+    showStatus(`${prefix} ${warnings} ${summary}`.trim());
+  }
+
+  // Fill the saved maps list
+  function updateSavedMaps(selected) {
+    const select = document.getElementById("saved-maps");
+    select.innerHTML = "";
+    Object.keys(getSavedMaps())
+      .sort()
+      .forEach((name) => {
+        const option = document.createElement("option");
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+      });
+    if (selected) select.value = selected;
+  }
+
+  // Show the current tool and whether undo and redo can be used
+  function updateToolbar() {
+    document.querySelectorAll("[data-tool]").forEach((button) => {
+      button.classList.toggle("active", button.dataset.tool === editor.tool);
+    });
+    document.getElementById("brush-radius-value").textContent =
+      editor.brushRadius;
+    document.getElementById("undo").disabled = editor.undoStack.length === 0;
+    document.getElementById("redo").disabled = editor.redoStack.length === 0;
+  }
+
+  function showStatus(message, isError = false) {
+    const status = document.getElementById("editor-status");
+    status.textContent = message;
+    status.classList.toggle("error", isError);
+  }
+});
@@ -0,0 +1,678 @@
+/**
+ * EnemyAI - Computer opponent that controls a Player
+ * The AI plays through the same APIs as a human:
+ * - Places blueprints with the Building class, like the Shop does
+ * - Assigns its Engineers to construct them
+ * - Orders units at its barracks and factories
+ * - Gathers an army and sends it at the enemy in waves
+ * Fights are micro-managed by a TacticalController.
+ * How it plays is set by a personality from AI_PERSONALITIES, and can be
+ * scripted with a JSON behavior tree (see BehaviorTree).
+ */
+class EnemyAI {
+  /**
+   * Constructor for the EnemyAI class
+   * @param {Phaser.Scene} scene - The game scene
+   * @param {Player} player - The player this AI controls
+   * @param {Object} personality - Optional personality from AI_PERSONALITIES
+   * @param {Object} script - Optional behavior tree definition (parsed JSON)
+   */
+  constructor(scene, player, personality = null, script = null) {
+    this.scene = scene;
+    this.player = player;
+    this.personality = personality;
+    this.config = {
+      ...CONSTANTS.AI,
+      ...EnemyAI.getPersonalityConfig(personality),
+    };
+
+    this.nextThinkTime = 0;
+    this.nextProductionTime = 0;
+
+    // Units currently attacking, and the size of the next wave
+    this.attackers = [];
+    this.waveSize = this.config.FIRST_WAVE_SIZE;
+    this.wavesSent = 0;
+
+    // Unit the AI is saving up for (kept until it can be afforded)
+    this.nextUnitType = null;
+
+    // The base is built around where the AI's first builder starts
+    const builder = player.getBuilders()[0];
+    this.base = builder
+      ? { x: builder.sprite.x, y: builder.sprite.y }
+      : { x: 0, y: 0 };
+
+    // Unit micro during fights
+    this.tactics = new TacticalController(scene, player, this.base);
+
+    // Scripted behavior replaces the built-in strategy
+    this.behaviorTree = null;
+    if (script) {
+      try {
+        this.behaviorTree = new BehaviorTree(
+          script,
+          this.getBehaviorHandlers()
+        );
+        console.log(`${player.name} is running AI script "${script.name}"`);
+      } catch (err) {
+        console.error(
+          `Invalid AI script, using the built-in strategy: ${err.message}`
+        );
+      }
+    }
+
+    console.log(
+      `Enemy AI initialized for ${player.name}` +
+        (personality ? ` (${personality.name})` : "")
+    );
+  }
+
+  /**
+   * Turn a personality's settings into CONSTANTS.AI overrides
+   * @param {Object} personality - Personality from AI_PERSONALITIES
+   * @returns {Object} Only the settings the personality defines
+   */
+  static getPersonalityConfig(personality) {
+    if (!personality) return {};
+
+    const fields = {
+      buildOrder: "BUILD_ORDER",
+      unitMix: "UNIT_MIX",
+      productionInterval: "PRODUCTION_INTERVAL",
+      saveForBuildings: "SAVE_FOR_BUILDINGS",
+      firstWaveSize: "FIRST_WAVE_SIZE",
+      waveSizeGrowth: "WAVE_SIZE_GROWTH",
+      maxWaveSize: "MAX_WAVE_SIZE",
+      defendRadius: "DEFEND_RADIUS",
+    };
+
+    const config = {};
+    Object.entries(fields).forEach(([field, setting]) => {
+      if (personality[field] !== undefined) {
+        config[setting] = personality[field];
+      }
+    });
+    return config;
+  }
+
+  /**
+   * Run the AI, called from the main update loop
+   */
+  update() {
+    if (this.player.isEliminated) return;
+
+    this.tactics.update();
+
+    const now = this.scene.time.now;
+    if (now < this.nextThinkTime) return;
+    this.nextThinkTime = now + this.config.THINK_INTERVAL;
+
+    try {
+      if (this.behaviorTree) {
+        this.getBlueprints().forEach((blueprint) =>
+          this.assignBuilders(blueprint)
+        );
+        this.behaviorTree.tick();
+      } else {
+        this.updateConstruction();
+        this.updateProduction();
+        this.updateArmy();
+      }
+
+      this.updateAttackers();
+    } catch (err) {
+      console.error("Error in enemy AI:", err);
+    }
+  }
+
+  /**
+   * Conditions and actions that AI scripts can use as leaves
+   * @returns {Object} {conditions, actions} for the BehaviorTree
+   */
+  getBehaviorHandlers() {
+    return {
+      conditions: {
+        enemyNearBase: () => !!this.findIntruder(),
+        hasBuilding: ({ building, count = 1, complete = false }) =>
+          this.player
+            .getBuildings()
+            .filter(
+              (owned) =>
+                owned.type === building && (!complete || owned.isComplete)
+            ).length >= count,
+        hasBlueprint: () => this.getBlueprints().length > 0,
+        canAfford: ({ building, gold = 0 }) =>
+          this.player.canAfford(
+            building && BUILDING_TYPES[building]
+              ? BUILDING_TYPES[building].cost
+              : gold
+          ),
+        builderCount: ({ min = 1 }) => this.player.getBuilders().length >= min,
+        armySize: ({ min = 1 }) => this.getArmy().length >= min,
+        armyReady: () => this.getArmy().length >= this.waveSize,
+        buildOrderComplete: () => !this.getNextBuildingType(),
+      },
+      actions: {
+        placeBuilding: ({ building }) => !!this.placeBuilding(building),
+        followBuildOrder: () => this.followBuildOrder(),
+        trainUnit: ({ unit = null }) => !!this.trainUnit(unit),
+        gatherArmy: ({ size = this.waveSize }) =>
+          this.gatherArmy(size) ? BT_STATUS.SUCCESS : BT_STATUS.RUNNING,
+        attackRegion: ({ region = "enemyBase" }) => this.attackRegion(region),
+        defendBase: () => this.defendBase(),
+      },
+    };
+  }
+
+  // Unfinished blueprints owned by the AI
+  getBlueprints() {
+    return this.player
+      .getBuildings()
+      .filter((building) => building.isBlueprint);
+  }
+
+  // Completed buildings of a type owned by the AI
+  getCompletedBuildings(type) {
+    return this.player
+      .getBuildings()
+      .filter((building) => building.type === type && building.isComplete);
+  }
+
+  /**
+   * Get the next building the AI is missing from its build order
+   * @returns {String} Building type, or null if the build order is complete
+   */
+  getNextBuildingType() {
+    const counts = {};
+    this.player.getBuildings().forEach((building) => {
+      counts[building.type] = (counts[building.type] || 0) + 1;
+    });
+
+    for (const type of this.config.BUILD_ORDER) {
+      if (counts[type]) {
+        counts[type]--;
+      } else {
+        return type;
+      }
+    }
+
+    return null;
+  }
+
+  // Place the next building once the previous one is finished
+  updateConstruction() {
+    // Keep builders busy on any unfinished blueprints
+    this.getBlueprints().forEach((blueprint) => this.assignBuilders(blueprint));
+
+    this.followBuildOrder();
+  }
+
+  /**
+   * Place the next missing building from the build order,
+   * one building at a time
+   * @returns {boolean} True if a blueprint was placed
+   */
+  followBuildOrder() {
+    if (this.getBlueprints().length > 0) return false;
+
+    const type = this.getNextBuildingType();
+    return !!(type && this.placeBuilding(type));
+  }
+
+  /**
+   * Place a blueprint on a free spot in the base, if it can be afforded
+   * @param {String} type - Building type in BUILDING_TYPES
+   * @returns {Building} The new blueprint, or null if it couldn't be placed
+   */
+  placeBuilding(type) {
+    const buildingData = BUILDING_TYPES[type];
+    if (!buildingData || !this.player.canAfford(buildingData.cost)) {
+      return null;
+    }
+
+    const hex = this.findBuildingSite(type);
+    return hex ? this.placeBlueprint(type, hex) : null;
+  }
+
+  /**
+   * Get a point between the base and the enemy
+   * @param {Number} distance - How far from the base
+   */
+  getFrontPoint(distance) {
+    const enemy = this.findAttackTarget();
+    if (!enemy) return this.base;
+
+    const position = enemy.sprite || enemy;
+    const angle = Math.atan2(
+      position.y - this.base.y,
+      position.x - this.base.x
+    );
+
+    return {
+      x: this.base.x + Math.cos(angle) * distance,
+      y: this.base.y + Math.sin(angle) * distance,
+    };
+  }
+
+  /**
+   * Check if a building can go on a hex
+   * Same rules as the Shop, plus spacing so units can walk between buildings
+   */
+  canPlaceBuilding(hex) {
+    if (!isBuildableHex(hex)) return false;
+    if (this.scene.occupancy && !this.scene.occupancy.isFree(hex)) {
+      return false;
+    }
+
+    return !(this.scene.buildings || []).some(
+      (building) =>
+        Math.sqrt(
+          Math.pow(building.x - hex.x, 2) + Math.pow(building.y - hex.y, 2)
+        ) < this.config.BUILDING_SPACING
+    );
+  }
+
+  /**
+   * Find the closest free resource node within the base
+   * @returns {Object} The resource node, or null if there is none
+   */
+  findResourceNode() {
+    let bestNode = null;
+    let bestDistance = this.config.BASE_RADIUS;
+
+    (this.scene.resourceNodes || []).forEach((node) => {
+      const distance = Math.sqrt(
+        Math.pow(node.x - this.base.x, 2) + Math.pow(node.y - this.base.y, 2)
+      );
+      if (distance <= bestDistance && this.canPlaceBuilding(node.hex)) {
+        bestDistance = distance;
+        bestNode = node;
+      }
+    });
+
+    return bestNode;
+  }
+
+  /**
+   * Pick a free hex near the base for a new building
+   * Turrets go on the side of the base facing the enemy, and gold mines
+   * on a resource node when there is one
+   * @param {String} type - Building type
+   * @returns {Object} The chosen hex, or null if there is no room
+   */
+  findBuildingSite(type) {
+    let anchor = this.base;
+    if (type === "turret") {
+      anchor = this.getFrontPoint(this.config.BASE_RADIUS / 2);
+    } else if (type === "goldMine") {
+      anchor = this.findResourceNode() || this.base;
+    }
+
+    const grid = this.scene.hexGrid;
+    if (!grid) return null;
+
+    let bestHex = null;
+    let bestDistance = Number.MAX_VALUE;
+
+    // Only hexes inside the base
+    const baseHexes = grid.getIndicesInRadius(
+      this.base.x,
+      this.base.y,
+      this.config.BASE_RADIUS
+    );
+
+    for (const index of baseHexes) {
+      const hex = grid.hexes[index];
+      const distance = Math.sqrt(
+        Math.pow(hex.x - anchor.x, 2) + Math.pow(hex.y - anchor.y, 2)
+      );
+      if (distance < bestDistance && this.canPlaceBuilding(hex)) {
+        bestDistance = distance;
+        bestHex = hex;
+      }
+    }
+
+    return bestHex;
+  }
+
+  /**
+   * Pay for and place a blueprint, then send builders to it
+   * @returns {Building} The new blueprint, or null if it couldn't be placed
+   */
+  placeBlueprint(type, hex) {
+    if (!this.player.spendGold(BUILDING_TYPES[type].cost)) return null;
+
+    const building = new Building(this.scene, hex.x, hex.y, type, this.player);
+    building.isBlueprint = true;
+    building.buildProgress = 0;
+
+    if (!this.scene.buildings) {
+      this.scene.buildings = [];
+    }
+    this.scene.buildings.push(building);
+
+    console.log(`${this.player.name} placed a ${type} blueprint`);
+
+    this.assignBuilders(building);
+    return building;
+  }
+
+  // Send every idle builder to work on a blueprint
+  assignBuilders(blueprint) {
+    this.player.getBuilders().forEach((builder) => {
+      if (
+        !builder.isBuilding &&
+        blueprint.assignedBuilders.length < blueprint.maxBuilders
+      ) {
+        builder.assignToBlueprint(blueprint);
+      }
+    });
+  }
+
+  /**
+   * Pick the next unit to train from a weighted unit mix
+   * @param {boolean} hasFactory - Whether vehicles can be built
+   * @param {Object} unitMix - Optional mix to use instead of the AI's own
+   * @returns {String} Unit type
+   */
+  pickUnitType(hasFactory, unitMix = this.config.UNIT_MIX) {
+    const mix = Object.entries(unitMix).filter(
+      ([type, weight]) => weight > 0 && (type !== "tank" || hasFactory)
+    );
+    const total = mix.reduce((sum, [, weight]) => sum + weight, 0);
+
+    let roll = Math.random() * total;
+    for (const [type, weight] of mix) {
+      roll -= weight;
+      if (roll < 0) return type;
+    }
+
+    return mix.length > 0 ? mix[mix.length - 1][0] : null;
+  }
+
+  // Order a new unit at one of the AI's barracks or factories
+  updateProduction() {
+    // Replace lost builders first
+    if (this.player.getBuilders().length < this.config.MIN_BUILDERS) {
+      this.trainUnit("builder");
+      return;
+    }
+
+    // Save up for the next building while the base is incomplete
+    const nextType = this.getNextBuildingType();
+    if (
+      nextType &&
+      this.player.getGold() < BUILDING_TYPES[nextType].cost &&
+      (this.config.SAVE_FOR_BUILDINGS || this.getArmy().length >= this.waveSize)
+    ) {
+      return;
+    }
+
+    this.trainUnit();
+  }
+
+  /**
+   * Order a unit at one of the AI's barracks (or a factory for tanks),
+   * at most once every PRODUCTION_INTERVAL
+   * @param {String} unitType - Unit to train, or null to pick from the unit mix
+   * @returns {Object} The new unit, or null if it couldn't be trained
+   */
+  trainUnit(unitType = null) {
+    const now = this.scene.time.now;
+    if (now < this.nextProductionTime) return null;
+
+    const barracks = this.getCompletedBuildings("barracks");
+    const factories = this.getCompletedBuildings("factory");
+
+    // Stick with the chosen unit so expensive units aren't skipped over
+    // for cheap ones whenever gold is short
+    const type =
+      unitType || this.nextUnitType || this.pickUnitType(factories.length > 0);
+    if (!type) return null;
+
+    // Pick again if the building for it was lost
+    const producers = type === "tank" ? factories : barracks;
+    if (producers.length === 0) {
+      if (!unitType) this.nextUnitType = null;
+      return null;
+    }
+
+    const producer = Phaser.Utils.Array.GetRandom(producers);
+    const createdUnit =
+      type === "tank"
+        ? producer.produceVehicle(type)
+        : producer.produceUnit(type);
+
+    if (createdUnit) {
+      this.nextProductionTime = now + this.config.PRODUCTION_INTERVAL;
+    }
+    if (!unitType) {
+      this.nextUnitType = createdUnit ? null : type;
+    }
+
+    return createdUnit || null;
+  }
+
+  // Combat units that are not part of an attack
+  getArmy() {
+    return this.player
+      .getUnits()
+      .filter((unit) => !unit.isDead && !this.attackers.includes(unit));
+  }
+
+  /**
+   * Find what the next wave should attack: the closest enemy building in
+   * sight, or the closest enemy unit in sight when no building is. With
+   * nothing in sight, waves head for the closest enemy start position.
+   */
+  findAttackTarget() {
+    const enemies = Weapon.collectEnemies(this.scene, this.player);
+    const buildings = enemies.filter((enemy) => !enemy.sprite);
+    const candidates = buildings.length > 0 ? buildings : enemies;
+    if (candidates.length === 0) return this.findEnemyStart();
+
+    let closestTarget = null;
+    let closestDistance = Number.MAX_VALUE;
+
+    for (const enemy of candidates) {
+      const position = enemy.sprite || enemy;
+      const distance = Math.sqrt(
+        Math.pow(position.x - this.base.x, 2) +
+          Math.pow(position.y - this.base.y, 2)
+      );
+
+      if (distance < closestDistance) {
+        closestDistance = distance;
+        closestTarget = enemy;
+      }
+    }
+
+    return closestTarget;
+  }
+
+  // Start hex of the closest enemy still in the match (start positions
+  // are part of the map, so every player knows them)
+  findEnemyStart() {
+    const mapLoader = this.scene.mapLoader;
+    if (!mapLoader) return null;
+
+    let closestStart = null;
+    let closestDistance = Number.MAX_VALUE;
+
+    (this.scene.players || []).forEach((player) => {
+      if (!player || player === this.player || player.isEliminated) return;
+
+      const start = mapLoader.getStartHex(player.id);
+      if (!start) return;
+
+      const distance = Math.sqrt(
+        Math.pow(start.x - this.base.x, 2) + Math.pow(start.y - this.base.y, 2)
+      );
+      if (distance < closestDistance) {
+        closestDistance = distance;
+        closestStart = start;
+      }
+    });
+
+    return closestStart;
+  }
+
+  // Check if a unit has no orders and nowhere to go
+  isIdle(unit) {
+    return (
+      !unit.isMoving &&
+      !unit.attackOrder &&
+      !unit.attackMoveDestination &&
+      !unit.currentTarget
+    );
+  }
+
+  /**
+   * Send a group of units to attack-move on the enemy
+   * @param {Array} units - The units making up the wave
+   * @param {Object} position - Optional point {x, y} to attack,
+   *   defaults to the closest enemy building
+   * @returns {boolean} True if there was something to attack
+   */
+  sendWave(units, position = null) {
+    if (!position) {
+      const target = this.findAttackTarget();
+      position = target ? target.sprite || target : null;
+    }
+    if (!position || units.length === 0) return false;
+
+    units.forEach((unit) => unit.attackMoveTo(position.x, position.y));
+    this.attackers.push(...units);
+    this.wavesSent++;
+
+    console.log(
+      `${this.player.name} sent attack wave ${this.wavesSent} (${units.length} units)`
+    );
+    return true;
+  }
+
+  /**
+   * Turn a named region into a point on the map
+   * @param {String|Object} region - "enemyBase", "throne", "mapCenter" or {x, y}
+   * @returns {Object} Point {x, y}, or null if the region doesn't exist
+   */
+  getRegionPosition(region) {
+    if (region && region.x !== undefined && region.y !== undefined) {
+      return { x: region.x, y: region.y };
+    }
+
+    switch (region) {
+      case "enemyBase": {
+        const target = this.findAttackTarget();
+        return target ? target.sprite || target : null;
+      }
+      case "throne": {
+        const victory = this.scene.victoryManager;
+        return victory && victory.throne ? victory.throne : null;
+      }
+      case "mapCenter":
+        return { x: 0, y: 0 };
+      default:
+        console.error(`Unknown AI region: ${region}`);
+        return null;
+    }
+  }
+
+  /**
+   * Send every unit at home to attack a region, and grow the next wave
+   * @returns {boolean} True if a wave was sent
+   */
+  attackRegion(region) {
+    const position = this.getRegionPosition(region);
+    if (!this.sendWave(this.getArmy(), position)) return false;
+
+    this.waveSize = Math.min(
+      this.config.MAX_WAVE_SIZE,
+      this.waveSize + this.config.WAVE_SIZE_GROWTH
+    );
+    return true;
+  }
+
+  /**
+   * Move the units at home to a rally point in front of the base
+   * @param {Number} size - Number of units wanted
+   * @returns {boolean} True once the army is at least that big
+   */
+  gatherArmy(size) {
+    const rally = this.getFrontPoint(this.config.BASE_RADIUS / 2);
+    const army = this.getArmy();
+
+    army.forEach((unit) => {
+      if (!this.isIdle(unit)) return;
+
+      const distance = Math.sqrt(
+        Math.pow(unit.sprite.x - rally.x, 2) +
+          Math.pow(unit.sprite.y - rally.y, 2)
+      );
+      if (distance > CONSTANTS.HEX_SIZE * 2) {
+        const hex = unit.findClosestHex(rally.x, rally.y);
+        if (hex) unit.handleMovementToPoint(hex.x, hex.y);
+      }
+    });
+
+    return army.length >= size;
+  }
+
+  // Find an enemy inside the base's defensive radius
+  findIntruder() {
+    return Weapon.collectEnemies(this.scene, this.player).find((enemy) => {
+      const position = enemy.sprite || enemy;
+      return (
+        Math.sqrt(
+          Math.pow(position.x - this.base.x, 2) +
+            Math.pow(position.y - this.base.y, 2)
+        ) < this.config.DEFEND_RADIUS
+      );
+    });
+  }
+
+  /**
+   * Send the units at home after enemies inside the base
+   * (badly damaged units falling back to a turret are left alone)
+   * @returns {boolean} True if there was an intruder to deal with
+   */
+  defendBase() {
+    const intruder = this.findIntruder();
+    if (!intruder) return false;
+
+    this.getArmy().forEach((unit) => {
+      if (unit.attackOrder || this.tactics.retreating.has(unit)) return;
+      unit.attackTarget(intruder);
+    });
+    return true;
+  }
+
+  // Defend the base and launch waves once enough units have gathered
+  updateArmy() {
+    if (this.defendBase()) return;
+
+    if (this.getArmy().length >= this.waveSize) {
+      this.attackRegion("enemyBase");
+    }
+  }
+
+  // Attackers that finished their objective move on to the next one
+  updateAttackers() {
+    this.attackers = this.attackers.filter((unit) => !unit.isDead);
+
+    const position = this.getRegionPosition("enemyBase");
+    if (!position) return;
+
+    this.attackers.forEach((unit) => {
+      if (this.isIdle(unit)) {
+        unit.attackMoveTo(position.x, position.y);
+      }
+    });
+  }
+}
+
+// Export the EnemyAI class
+if (typeof module !== "undefined") {
+  module.exports = { EnemyAI };
+}
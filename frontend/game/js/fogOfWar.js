@@ -0,0 +1,261 @@
+/**
+ * FogOfWar - Tracks what each player has seen of the map
+ * Every hex is unexplored, explored (seen before) or visible (inside the
+ * vision range of one of the player's units or buildings). Every player,
+ * computer ones included, can only target what it sees (see Weapon.canSee).
+ * For the local player it also draws the fog over the map:
+ * - Unexplored hexes are black
+ * - Explored hexes outside vision are dimmed, and show enemy buildings
+ *   as they were when last seen
+ * - Enemy units outside vision are hidden
+ */
+const FOG_STATE = {
+  UNEXPLORED: 0,
+  EXPLORED: 1,
+  VISIBLE: 2,
+};
+
+// Texture key of a fogged hex (see FogOfWar.createTexture)
+const FOG_TEXTURE = "fogHexes";
+
+class FogOfWar {
+  /**
+   * Constructor for the FogOfWar class
+   * @param {Phaser.Scene} scene - The game scene
+   * @param {Array} players - Every player in the match
+   * @param {Player} viewer - The local player, whose fog is drawn
+   */
+  constructor(scene, players, viewer) {
+    this.scene = scene;
+    this.players = players;
+    this.viewer = viewer;
+    this.nextUpdateTime = 0;
+    this.needsRedraw = true;
+    this.version = 0; // Goes up whenever the local player's fog changes
+    this.width = scene.gameMap.width;
+    this.height = scene.gameMap.height;
+
+    // One hex state per hex tile (hexTiles is stored row by row)
+    this.hexStates = new Map();
+    players.forEach((player) => {
+      this.hexStates.set(player.id, new Uint8Array(this.width * this.height));
+    });
+
+    // Enemy buildings the viewer has seen, drawn where they were last seen
+    // (building -> {x, y, isBlueprint, graphics})
+    this.memory = new Map();
+
+    // Fog drawn over each hex, and the state it was last drawn for
+    FogOfWar.createTexture(scene);
+    this.layer = new HexLayer(
+      scene,
+      scene.hexGrid,
+      FOG_TEXTURE,
+      CONSTANTS.FOG.DEPTH
+    );
+    this.drawnStates = null;
+
+    this.update();
+  }
+
+  /**
+   * Check whether a point is inside a player's vision
+   */
+  isVisible(player, x, y) {
+    const states = this.hexStates.get(player.id);
+    const index = this.scene.hexGrid.getIndexAt(x, y);
+    return !!states && index >= 0 && states[index] === FOG_STATE.VISIBLE;
+  }
+
+  /**
+   * Check whether a player has ever seen a point
+   */
+  isExplored(player, x, y) {
+    const states = this.hexStates.get(player.id);
+    const index = this.scene.hexGrid.getIndexAt(x, y);
+    return !!states && index >= 0 && states[index] !== FOG_STATE.UNEXPLORED;
+  }
+
+  /**
+   * Recalculate what a player can see from its units and buildings
+   * @returns {boolean} True if any hex changed state
+   */
+  updateVision(player) {
+    const states = this.hexStates.get(player.id);
+    if (!states) return false;
+
+    // Hexes seen last time are now only explored
+    const next = states.map((state) =>
+      state === FOG_STATE.VISIBLE ? FOG_STATE.EXPLORED : state
+    );
+
+    const sources = [
+      ...player.getAllUnits().filter((unit) => !unit.isDead && unit.sprite),
+      ...player.getBuildings().filter((building) => !building.isDead),
+    ];
+
+    sources.forEach((source) => {
+      const position = source.sprite || source;
+      this.scene.hexGrid
+        .getIndicesInRadius(position.x, position.y, source.visionRange)
+        .forEach((index) => {
+          next[index] = FOG_STATE.VISIBLE;
+        });
+    });
+
+    const changed = next.some((state, index) => state !== states[index]);
+    if (changed) states.set(next);
+    return changed;
+  }
+
+  /**
+   * Update vision for every player, called every frame
+   */
+  update() {
+    const now = this.scene.time.now;
+
+    if (now >= this.nextUpdateTime) {
+      this.nextUpdateTime = now + CONSTANTS.FOG.UPDATE_INTERVAL;
+
+      let viewerChanged = false;
+      this.players.forEach((player) => {
+        if (!player) return;
+        const changed = this.updateVision(player);
+        if (player === this.viewer) viewerChanged = changed;
+      });
+
+      if (viewerChanged || this.needsRedraw) {
+        this.version++;
+        this.draw();
+        this.needsRedraw = false;
+      }
+
+      this.updateMemory();
+    }
+
+    // Units are checked every frame so enemies never pop in late
+    this.updateUnits();
+  }
+
+  // Hide enemy units outside the viewer's vision, and undetected
+  // camouflaged ones inside it
+  updateUnits() {
+    this.players.forEach((player) => {
+      if (!player || player === this.viewer) return;
+
+      player.getAllUnits().forEach((unit) => {
+        if (unit.isDead || !unit.sprite) return;
+        unit.setRevealed(
+          this.isVisible(this.viewer, unit.sprite.x, unit.sprite.y) &&
+            !unit.isHiddenFrom(this.viewer)
+        );
+      });
+    });
+  }
+
+  // Show enemy buildings in vision, and remembered ones elsewhere
+  updateMemory() {
+    (this.scene.buildings || []).forEach((building) => {
+      if (building.isDead || building.owner === this.viewer) return;
+
+      const visible = this.isVisible(this.viewer, building.x, building.y);
+      building.setRevealed(visible);
+
+      if (visible) this.remember(building);
+    });
+
+    this.memory.forEach((memory, building) => {
+      const visible = this.isVisible(this.viewer, memory.x, memory.y);
+
+      // Buildings destroyed out of sight are remembered until seen again
+      if (visible && building.isDead) {
+        memory.graphics.destroy();
+        this.memory.delete(building);
+        return;
+      }
+
+      memory.graphics.setVisible(!visible);
+    });
+  }
+
+  // Record how an enemy building looks right now
+  remember(building) {
+    const memory = this.memory.get(building);
+    if (memory && memory.isBlueprint === building.isBlueprint) return;
+
+    if (memory) memory.graphics.destroy();
+
+    const graphics = this.scene.add.graphics();
+    graphics.setPosition(building.x, building.y);
+    building.drawSnapshot(graphics);
+    graphics.setVisible(false);
+
+    this.memory.set(building, {
+      x: building.x,
+      y: building.y,
+      isBlueprint: building.isBlueprint,
+      graphics: graphics,
+    });
+  }
+
+  // Make the texture of a fogged hex (slightly oversized so neighbouring
+  // hexes leave no gaps)
+  static createTexture(scene) {
+    HexLayer.createTexture(scene, FOG_TEXTURE, {
+      fog: (graphics, x, y) => {
+        const size = CONSTANTS.HEX_SIZE + 1;
+
+        graphics.fillStyle(CONSTANTS.FOG.UNEXPLORED_COLOR, 1);
+        graphics.beginPath();
+        for (let i = 0; i < 6; i++) {
+          const angle = (i * Math.PI) / 3 - Math.PI / 6;
+          const pointX = x + size * Math.cos(angle);
+          const pointY = y + size * Math.sin(angle);
+
+          if (i === 0) {
+            graphics.moveTo(pointX, pointY);
+          } else {
+            graphics.lineTo(pointX, pointY);
+          }
+        }
+        graphics.closePath();
+        graphics.fillPath();
+      },
+    });
+  }
+
+  // Black out unexplored hexes and dim explored ones
+  // (only hexes whose state changed since the last draw are touched)
+  draw() {
+    const states = this.hexStates.get(this.viewer.id);
+    const drawn = this.drawnStates;
+
+    states.forEach((state, index) => {
+      if (drawn && drawn[index] === state) return;
+
+      if (state === FOG_STATE.VISIBLE) {
+        this.layer.setHex(index, null);
+      } else {
+        this.layer.setHex(
+          index,
+          "fog",
+          state === FOG_STATE.UNEXPLORED ? 1 : CONSTANTS.FOG.EXPLORED_ALPHA
+        );
+      }
+    });
+
+    this.drawnStates = Uint8Array.from(states);
+  }
+
+  // Clean up resources
+  destroy() {
+    this.layer.destroy();
+    this.memory.forEach((memory) => memory.graphics.destroy());
+    this.memory.clear();
+  }
+}
+
+// Export the FogOfWar class
+if (typeof module !== "undefined") {
+  module.exports = { FogOfWar, FOG_STATE, FOG_TEXTURE };
+}
@@ -50,6 +50,13 @@ document.addEventListener("DOMContentLoaded", function () {
   let cameraControls;
   let enemyAI;
   let lastEnemySpawnTime = 0;
+  let difficulty; // Settings for the chosen difficulty level
+  let aiPersonality; // How the enemy AI plays this match
+  let aiScriptPath; // Behavior tree JSON from the settings or personality, if any
+  let mapPath; // Map file chosen for this match
+  let savedMapName; // Map saved from the map editor, if one was chosen
+  let mapError; // Why the chosen map couldn't be used, if it couldn't
+  let mapLoader;
 
   // Helper function to deselect everything
   function deselectAll() {
@@ -80,6 +87,13 @@ document.addEventListener("DOMContentLoaded", function () {
     }
   }
 
+  // Selected units that belong to the current player and can take orders
+  function getCommandableUnits() {
+    return selectedUnits.filter(
+      (unit) => unit && !unit.isDead && unit.owner === currentPlayer
+    );
+  }
+
   // Global reference to the deselect hint
   let deselectHint = null;
 
@@ -94,7 +108,7 @@ document.addEventListener("DOMContentLoaded", function () {
     deselectHint = scene.add.text(
       10,
       scene.cameras.main.height - 40,
-      "Press 'E' to deselect",
+      "Press 'E' to deselect, 'F' to attack-move",
       {
         fontSize: "14px",
         backgroundColor: "#000000",
@@ -119,43 +133,89 @@ document.addEventListener("DOMContentLoaded", function () {
 
   function preload() {
     // Preload any assets we need (if we had images, sounds, etc.)
+
+    // The enemy AI's behavior tree script, if it uses one
+    aiPersonality = loadAIPersonality();
+    aiScriptPath = readMatchSetting("aiScript") || aiPersonality.behaviorTree;
+    if (aiScriptPath) {
+      this.load.json(aiScriptPath, aiScriptPath);
+    }
+
+    // The chosen map, plus the default one in case it can't be used
+    // (random maps are generated in create instead, and saved maps are
+    // read from localStorage)
+    const defaultMapPath = getMapPath(CONSTANTS.MAP.DEFAULT);
+    const mapSetting = readMatchSetting("map");
+    const isGenerated = mapSetting === "generated";
+    savedMapName = getSavedMapName(mapSetting);
+    mapPath =
+      isGenerated || savedMapName
+        ? null
+        : getMapPath(mapSetting) || defaultMapPath;
+    if (
+      mapSetting &&
+      !isGenerated &&
+      !savedMapName &&
+      !getMapPath(mapSetting)
+    ) {
+      console.error(`Unknown map "${mapSetting}", using the default map`);
+    }
+
+    if (mapPath) {
+      this.load.json(mapPath, mapPath);
+    }
+    if (mapPath !== defaultMapPath) {
+      this.load.json(defaultMapPath, defaultMapPath);
+    }
+
+    // Without a script from the settings or personality, the AI uses the
+    // map's own (map files name it once they've loaded, and the default
+    // map's is loaded too in case the chosen map can't be used)
+    if (!aiScriptPath) {
+      if (savedMapName) {
+        loadMapAIScript(this, getSavedMaps()[savedMapName]);
+      }
+      [mapPath, defaultMapPath].forEach((path) => {
+        if (!path) return;
+        this.load.once(`filecomplete-json-${path}`, (key, type, data) =>
+          loadMapAIScript(this, data)
+        );
+      });
+    }
+  }
+
+  // Queue the AI script a map names (MapLoader.parse checks it properly)
+  function loadMapAIScript(scene, data) {
+    if (data && typeof data.aiScript === "string") {
+      scene.load.json(data.aiScript, data.aiScript);
+    }
   }
 
   function create() {
     try {
       const scene = this;
 
-      // Define your land map - 1 for land, 0 for ocean
-      const landMap = [
-        [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1],
-        [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1],
-        [1, 1, 0, 0, 0, 1, 1, 0, 0, 1, 1, 1],
-        [1, 1, 1, 1, 0, 0, 0, 0, 1, 1, 1, 1],
-        [1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 1],
-        [1, 0, 0, 1, 1, 1, 1, 1, 0, 0, 1, 1],
-        [1, 0, 1, 1, 0, 0, 0, 1, 1, 1, 1, 1],
-        [1, 1, 1, 0, 0, 1, 1, 1, 1, 1, 1, 1],
-        [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1],
-        [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1],
-      ];
-
-      // Store hex tiles information
-      scene.hexTiles = [];
-
-      // Create hexagonal grid with land map
-      createHexagonalGrid(this, landMap);
+      // Build the hex grid from the chosen map
+      mapLoader = new MapLoader(scene);
+      scene.mapLoader = mapLoader;
+      mapLoader.load(loadGameMap(scene));
+
+      // One path finder shared by every unit (it keeps per-hex buffers)
+      scene.pathFinder = new PathFinder(scene);
+      if (readMatchSetting("benchmark") === "paths") {
+        runPathBenchmark(scene);
+      }
 
       // Position camera to show the center of the map
       this.cameras.main.centerOn(0, 0);
 
-      // Set camera bounds based on grid size
-      const totalWidth = CONSTANTS.GRID_SIZE * CONSTANTS.HEX_WIDTH;
-      const totalHeight = CONSTANTS.GRID_SIZE * CONSTANTS.HEX_HEIGHT * 0.75;
+      // Keep the camera over the map
+      const bounds = scene.hexGrid.getBounds();
       this.cameras.main.setBounds(
-        -totalWidth / 2,
-        -totalHeight / 2,
-        totalWidth,
-        totalHeight
+        bounds.x,
+        bounds.y,
+        bounds.width,
+        bounds.height
       );
 
       // Set up keyboard controls for camera
@@ -171,9 +231,52 @@ document.addEventListener("DOMContentLoaded", function () {
       // Add deselect key handler
       this.input.keyboard.on("keydown-E", () => {
         deselectAll();
+        scene.attackMoveArmed = false;
+        scene.input.setDefaultCursor("default");
         console.log("Deselected all units and buildings with 'E' key");
       });
 
+      // Attack-move: press F, then click a destination. Units path there
+      // but stop to fight any enemies they meet on the way
+      // (not A, which pans the camera)
+      scene.attackMoveArmed = false;
+      this.input.keyboard.on("keydown-F", () => {
+        if (getCommandableUnits().length === 0) return;
+
+        scene.attackMoveArmed = true;
+        scene.input.setDefaultCursor("crosshair");
+        if (scene.shop) {
+          scene.shop.showMessage("Attack-move: click a destination", 1500);
+        }
+      });
+
+      // The armed attack-move is used up by the next click
+      // (pointerup runs after every unit has handled the pointerdown)
+      scene.input.on("pointerup", function () {
+        if (scene.attackMoveArmed) {
+          scene.attackMoveArmed = false;
+          scene.input.setDefaultCursor("default");
+        }
+      });
+
+      // Clicking an enemy unit or building orders the selection to attack it
+      scene.onEnemyClicked = function (entity) {
+        if (!currentPlayer || !entity.owner) return false;
+        if (entity.owner.id === currentPlayer.id) return false;
+
+        const attackers = getCommandableUnits();
+        if (attackers.length === 0) return false;
+
+        attackers.forEach((unit) => unit.attackTarget(entity));
+        scene.attackMoveArmed = false;
+        scene.input.setDefaultCursor("default");
+        console.log(
+          `${attackers.length} unit(s) ordered to attack`,
+          entity.type
+        );
+        return true;
+      };
+
       // Make deselectAll available to the scene
       scene.deselectAll = deselectAll;
 
@@ -239,6 +342,25 @@ document.addEventListener("DOMContentLoaded", function () {
       // Set up building selection handler
       setupBuildingSelection(scene);
 
+      // Drop references to units and buildings when they are destroyed
+      scene.onEntityDestroyed = function (entity) {
+        if (selectedUnits.includes(entity)) {
+          selectedUnits = selectedUnits.filter((u) => u !== entity);
+        }
+        if (selectedUnit === entity) {
+          selectedUnit = selectedUnits.length > 0 ? selectedUnits[0] : null;
+        }
+        if (selectedBuilding === entity) {
+          selectedBuilding = null;
+        }
+
+        // Hide the deselect hint once nothing is selected anymore
+        if (selectedUnits.length === 0 && !selectedBuilding && deselectHint) {
+          deselectHint.destroy();
+          deselectHint = null;
+        }
+      };
+
       // Add selection box functionality for multi-selection
       let selectionBox = null;
       let selectionStart = null;
@@ -345,16 +467,63 @@ document.addEventListener("DOMContentLoaded", function () {
       // Initialize player system
       initializePlayers(this);
 
+      // Neutral buildings placed by the map
+      mapLoader.createStructures();
+
       console.log("Setting up unit factory...");
       // Create unit factory
       unitFactory = new UnitFactory(scene);
       // Make unit factory available to the scene for building production
       scene.unitFactory = unitFactory;
 
+      // Pooled projectiles and hit resolution for all combat
+      scene.projectiles = new ProjectileManager(scene);
+
       console.log("Creating game objects...");
       // Create game objects
       createGameObjects(this);
 
+      // Computer opponent for Player 2
+      const scriptPath = aiScriptPath || scene.gameMap.aiScript;
+      const aiScript = scriptPath ? scene.cache.json.get(scriptPath) : null;
+      if (scriptPath && !aiScript) {
+        console.error(`Could not load AI script ${scriptPath}`);
+      }
+      enemyAI = new EnemyAI(scene, players[1], aiPersonality, aiScript);
+      scene.enemyAI = enemyAI;
+      lastEnemySpawnTime = scene.time.now;
+
+      // Each player only sees what its units and buildings can see
+      // (?fog=off reveals the whole map)
+      if (readMatchSetting("fog") !== "off") {
+        scene.fogOfWar = new FogOfWar(scene, players, currentPlayer);
+      }
+
+      // Overview of the whole map in the corner
+      miniMap = new MiniMap(scene);
+      scene.miniMap = miniMap;
+
+      // Right-clicking the minimap sends the selected units there
+      scene.input.mouse.disableContextMenu();
+      scene.onMiniMapMoveOrder = function (x, y) {
+        if (gameState !== "running") return;
+
+        getCommandableUnits().forEach((unit) => {
+          const hex = unit.findClosestHex(x, y);
+          if (hex) unit.handleMovementToPoint(hex.x, hex.y);
+        });
+      };
+
+      // Track win and loss conditions
+      scene.victoryManager = new VictoryManager(scene, players);
+
+      // Freeze the simulation once the match is decided
+      scene.onGameOver = function (result) {
+        gameState = "gameOver";
+        scene.attackMoveArmed = false;
+        scene.input.setDefaultCursor("default");
+      };
+
       // Mouse wheel for zoom (keeping this functionality)
       this.input.on(
         "wheel",
@@ -369,17 +538,25 @@ document.addEventListener("DOMContentLoaded", function () {
         }
       );
 
-      // Handle window resize
+      // Handle window resize: only the view changes, the match carries on
+      // (the shop, minimap and results overlay re-anchor themselves, and the
+      // gold display sits in the top-left corner so never moves)
       window.addEventListener("resize", function () {
+        const camera = scene.cameras.main;
+        const center = { x: camera.midPoint.x, y: camera.midPoint.y };
+
         game.scale.resize(window.innerWidth, window.innerHeight);
 
-        // Recreate the grid when window is resized
-        scene.children.removeAll();
-        scene.hexTiles = [];
-        createHexagonalGrid(scene, landMap);
+        // Keep looking at the same part of the map
+        camera.setSize(window.innerWidth, window.innerHeight);
+        camera.centerOn(center.x, center.y);
+      });
 
-        // Recreate game objects
-        createGameObjects(scene);
+      // Keep the deselect hint in the bottom-left corner
+      this.scale.on("resize", () => {
+        if (deselectHint) {
+          deselectHint.setPosition(10, scene.cameras.main.height - 40);
+        }
       });
 
       console.log("Hexagonal map created with WASD camera controls");
@@ -388,15 +565,133 @@ document.addEventListener("DOMContentLoaded", function () {
     }
   }
 
+  // Time path finding on the current map and report it in the console
+  // (match setting benchmark=paths)
+  function runPathBenchmark(scene) {
+    const map = scene.gameMap;
+    const results = scene.pathFinder.benchmark();
+
+    console.log(`Path benchmark on "${map.name}" (${map.width}x${map.height})`);
+    results.forEach((result) => {
+      console.log(
+        `  ${result.movementClass}: ${result.found}/${result.paths} found, ` +
+          `${result.averageMs.toFixed(2)}ms average, ` +
+          `${result.maxMs.toFixed(2)}ms slowest`
+      );
+    });
+  }
+
+  /**
+   * Check the chosen map, falling back to the default map if it's invalid
+   * or can't be played (see MapValidator)
+   * @returns {Object} The parsed map
+   */
+  function loadGameMap(scene) {
+    try {
+      let map;
+      if (savedMapName) {
+        map = MapLoader.parse(getSavedMaps()[savedMapName]);
+      } else if (!mapPath) {
+        map = MapLoader.parse(generateMap());
+      } else {
+        map = MapLoader.parse(scene.cache.json.get(mapPath));
+      }
+
+      MapValidator.check(map);
+      return map;
+    } catch (err) {
+      mapError = err.message;
+      console.error(
+        `Could not load map ${savedMapName || mapPath || "(generated)"}: ${
+          err.message
+        }`
+      );
+
+      const defaultMapPath = getMapPath(CONSTANTS.MAP.DEFAULT);
+      return MapLoader.parse(scene.cache.json.get(defaultMapPath));
+    }
+  }
+
+  // Make a random map from the seed and options in the match settings
+  function generateMap() {
+    const sizes = CONSTANTS.MAP.GENERATOR.SIZES;
+    const size = sizes[readMatchSetting("mapSize")] || {};
+
+    const generator = new MapGenerator({
+      seed: readMatchSetting("seed"),
+      width: readMatchSetting("mapWidth") || size.width,
+      height: readMatchSetting("mapHeight") || size.height,
+      landRatio: readMatchSetting("landRatio"),
+      islands: readMatchSetting("islands"),
+      symmetry: readMatchSetting("symmetry"),
+      players: 2, // Matches are always one against one for now
+    });
+
+    // Logged so a good map can be shared and replayed
+    console.log(`Generating map with seed ${generator.seed}`);
+    return generator.generate();
+  }
+
+  /**
+   * Read a match setting chosen in the menu's Settings
+   * (a URL parameter of the same name takes priority for testing)
+   * @param {String} name - Setting name, e.g. "difficulty"
+   * @returns {String} The saved value, or null if not set
+   */
+  function readMatchSetting(name) {
+    try {
+      const param = new URLSearchParams(window.location.search).get(name);
+      if (param) return param;
+
+      const saved = JSON.parse(
+        localStorage.getItem(CONSTANTS.DIFFICULTY.SETTINGS_KEY) || "{}"
+      );
+      return saved[name] || null;
+    } catch (err) {
+      console.error(`Error reading ${name} setting:`, err);
+      return null;
+    }
+  }
+
+  // Get the settings for the chosen difficulty level
+  function loadDifficulty() {
+    const levels = CONSTANTS.DIFFICULTY.LEVELS;
+    const saved = readMatchSetting("difficulty");
+    const level = levels[saved] ? saved : CONSTANTS.DIFFICULTY.DEFAULT;
+
+    console.log(`Difficulty: ${levels[level].name}`);
+    return { level: level, ...levels[level] };
+  }
+
+  // Get the chosen AI personality (random unless one was picked)
+  function loadAIPersonality() {
+    const personality = getAIPersonality(
+      readMatchSetting("aiPersonality") || CONSTANTS.AI.DEFAULT_PERSONALITY
+    );
+
+    console.log(`AI personality: ${personality.name}`);
+    return personality;
+  }
+
   // Initialize player system
   function initializePlayers(scene) {
     try {
+      difficulty = loadDifficulty();
+      scene.difficulty = difficulty;
+
       // Create player 1 (human player)
       const player1 = new Player(scene, 1, "Player 1", 0xff0000); // Red color
 
       // Create player 2 (AI or another human player)
       const player2 = new Player(scene, 2, "Player 2", 0x0000ff); // Blue color
 
+      // Difficulty sets Player 2's starting gold and income bonus
+      const enemyEconomy = player2.getEconomy();
+      enemyEconomy.setGold(difficulty.startingGold);
+      enemyEconomy.setProductionRate(
+        enemyEconomy.getProductionRate() + difficulty.productionBonus
+      );
+
       // Add players to the global players array
       players = [player1, player2];
 
@@ -413,6 +708,11 @@ document.addEventListener("DOMContentLoaded", function () {
       // Create shop for the current player
       scene.shop = new Shop(scene, currentPlayer);
 
+      // Tell the player if the chosen map was swapped for the default one
+      if (mapError) {
+        scene.shop.showMessage(`Playing the default map. ${mapError}`, 8000);
+      }
+
       console.log("Player system initialized successfully");
     } catch (err) {
       console.error("Error initializing player system:", err);
@@ -422,13 +722,11 @@ document.addEventListener("DOMContentLoaded", function () {
   // Helper function to create game objects like tanks and infantry units
   function createGameObjects(scene) {
     try {
-      // Find grass tiles for placing units
-      const grassTiles = scene.hexTiles.filter(
-        (hex) => hex.color === CONSTANTS.COLORS.GRASS
-      );
+      // Find land tiles for placing units
+      const grassTiles = scene.hexTiles.filter(isBuildableHex);
 
       if (grassTiles.length === 0) {
-        console.error("No grass tiles found to place units!");
+        console.error("No land tiles found to place units!");
         return;
       }
 
@@ -476,16 +774,16 @@ document.addEventListener("DOMContentLoaded", function () {
     if (!scene.players || !validTiles) return;
 
     // Create a single builder for each player
-    scene.players.forEach((player, index) => {
+    scene.players.forEach((player) => {
       if (!player) return;
 
-      // Find a suitable position for the builder
-      // For player 1, use the beginning of the valid tiles
-      // For player 2, use the end of the valid tiles
-      const tileIndex =
-        index === 0
-          ? Math.floor(validTiles.length * 0.25)
-          : Math.floor(validTiles.length * 0.75);
+      // Builders start on the map's start position for their player
+      // (MapValidator makes sure there is one, and that it's reachable)
+      const tileIndex = validTiles.indexOf(mapLoader.getStartHex(player.id));
+      if (tileIndex === -1) {
+        console.error(`No start position for Player ${player.id}`);
+        return;
+      }
 
       // Create the builder
       const builder = unitFactory.createBuilder({
@@ -501,8 +799,43 @@ document.addEventListener("DOMContentLoaded", function () {
     });
   }
 
+  // Spawn a wave of enemy units at Player 2's base and send it to attack
+  function spawnEnemyWave(scene) {
+    const enemy = enemyAI.player;
+    if (!enemy || enemy.isEliminated) return;
+
+    const unitClasses = {
+      infantry: Infantry,
+      rocketeer: Rocketeer,
+      sniper: Sniper,
+      scout: Scout,
+      tank: Tank,
+    };
+
+    const wave = [];
+    for (let i = 0; i < difficulty.waveSize; i++) {
+      const UnitClass =
+        unitClasses[enemyAI.pickUnitType(true, difficulty.unitMix)];
+      if (!UnitClass) continue;
+
+      // Units appear on land around the AI's base, each on a hex that
+      // still has room once the units before it have taken theirs
+      const unit = unitFactory.createUnit(UnitClass, {
+        validTiles: unitFactory.getSpawnTiles(enemyAI.base.x, enemyAI.base.y),
+      });
+      if (unit) {
+        enemy.addUnit(unit);
+        wave.push(unit);
+      }
+    }
+
+    if (enemyAI.sendWave(wave) && scene.shop) {
+      scene.shop.showMessage(`Enemy wave incoming! (${wave.length} units)`);
+    }
+  }
+
   // Update function for keyboard controls and game objects
-  function update() {
+  function update(time, delta) {
     try {
       // Process WASD keyboard input for camera movement
       if (keys.up.isDown) {
@@ -518,6 +851,14 @@ document.addEventListener("DOMContentLoaded", function () {
         this.cameras.main.scrollX += CONSTANTS.MOVEMENT.CAMERA_SPEED;
       }
 
+      // Check for victory or defeat
+      if (this.victoryManager) {
+        this.victoryManager.update();
+      }
+
+      // Nothing moves once the match is over
+      if (gameState !== "running") return;
+
       // Update players
       if (players && players.length > 0) {
         players.forEach((player) => {
@@ -525,6 +866,21 @@ document.addEventListener("DOMContentLoaded", function () {
         });
       }
 
+      // Let the computer opponent make its decisions
+      if (enemyAI) {
+        enemyAI.update();
+      }
+
+      // Spawn an enemy wave whenever the difficulty's interval has passed
+      if (
+        enemyAI &&
+        difficulty &&
+        time - lastEnemySpawnTime >= difficulty.waveInterval
+      ) {
+        lastEnemySpawnTime = time;
+        spawnEnemyWave(this);
+      }
+
       // Update game objects
       if (tank) {
         tank.update();
@@ -562,120 +918,35 @@ document.addEventListener("DOMContentLoaded", function () {
       }
 
       // Update buildings
+      // (iterate over a copy since buildings can be destroyed mid-update)
       if (this.buildings && this.buildings.length > 0) {
-        this.buildings.forEach((building) => {
-          if (building) building.update();
+        [...this.buildings].forEach((building) => {
+          if (building && !building.isDead) building.update();
         });
       }
 
-      // Update shop if it exists
-      if (this.shop) {
-        this.shop.update();
+      // Update what each player can see
+      if (this.fogOfWar) {
+        this.fogOfWar.update();
       }
-    } catch (err) {
-      console.error("Error in update function:", err);
-    }
-  }
 
-  // Function to create the entire hexagonal grid
-  function createHexagonalGrid(scene, landMap) {
-    // Center of the grid in world coordinates
-    const centerX = 0;
-    const centerY = 0;
-
-    // Calculate the dimensions of the land map
-    const landHeight = landMap.length;
-    const landWidth = landMap[0].length;
-
-    // Calculate the offset to center the land map
-    const landOffsetRow =
-      Math.floor(CONSTANTS.GRID_SIZE / 2) - Math.floor(landHeight / 2);
-    const landOffsetCol =
-      Math.floor(CONSTANTS.GRID_SIZE / 2) - Math.floor(landWidth / 2);
-
-    // Create the grid
-    for (let row = 0; row < CONSTANTS.GRID_SIZE; row++) {
-      for (let col = 0; col < CONSTANTS.GRID_SIZE; col++) {
-        // Calculate hex position (using odd-q offset coordinates)
-        let x =
-          centerX +
-          col * CONSTANTS.HEX_WIDTH -
-          (CONSTANTS.GRID_SIZE * CONSTANTS.HEX_WIDTH) / 2;
-        let y =
-          centerY +
-          row * CONSTANTS.HEX_HEIGHT * 0.75 -
-          (CONSTANTS.GRID_SIZE * CONSTANTS.HEX_HEIGHT * 0.75) / 2;
-
-        // Offset for odd rows
-        if (row % 2 !== 0) {
-          x += CONSTANTS.HEX_WIDTH / 2;
-        }
-
-        // Determine if this is a grass or ocean tile
-        let hexColor = CONSTANTS.COLORS.OCEAN; // Default to ocean
-
-        // Check if this position falls within our land map
-        const landMapRow = row - landOffsetRow;
-        const landMapCol = col - landOffsetCol;
-
-        if (
-          landMapRow >= 0 &&
-          landMapRow < landHeight &&
-          landMapCol >= 0 &&
-          landMapCol < landWidth &&
-          landMap[landMapRow][landMapCol] === 1
-        ) {
-          hexColor = CONSTANTS.COLORS.GRASS; // This is a land tile
-        }
-
-        const hexGraphics = drawHexagon(
-          scene,
-          x,
-          y,
-          CONSTANTS.HEX_SIZE,
-          hexColor
-        );
-
-        // Store hex info for tank movement
-        scene.hexTiles.push({
-          x: x,
-          y: y,
-          color: hexColor,
-          gridPos: { row, col },
-        });
+      // Move projectiles and resolve their hits
+      if (this.projectiles) {
+        this.projectiles.update(delta);
       }
-    }
-  }
-
-  // Function to draw a single hexagon
-  function drawHexagon(scene, x, y, size, fillColor) {
-    const graphics = scene.add.graphics();
-    graphics.fillStyle(fillColor, 1);
 
-    const corners = 6;
-
-    graphics.beginPath();
-
-    for (let i = 0; i < corners; i++) {
-      const angle = (i * Math.PI) / 3 - Math.PI / 6;
-      const pointX = x + size * Math.cos(angle);
-      const pointY = y + size * Math.sin(angle);
+      // Keep the minimap's dots and camera rectangle current
+      if (miniMap) {
+        miniMap.update();
+      }
 
-      if (i === 0) {
-        graphics.moveTo(pointX, pointY);
-      } else {
-        graphics.lineTo(pointX, pointY);
+      // Update shop if it exists
+      if (this.shop) {
+        this.shop.update();
       }
+    } catch (err) {
+      console.error("Error in update function:", err);
     }
-
-    graphics.closePath();
-    graphics.fillPath();
-
-    // Add a subtle stroke to make hexagons more distinct
-    graphics.lineStyle(1, 0x000000, 0.3);
-    graphics.strokePath();
-
-    return graphics;
   }
 
   // Set up building selection handler
@@ -731,4 +1002,4 @@ document.addEventListener("DOMContentLoaded", function () {
       showDeselectHint(scene);
     };
   }
-});
\ No newline at end of file
+});
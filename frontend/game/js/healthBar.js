@@ -0,0 +1,99 @@
+/**
+ * HealthBar - Floating health bar drawn above units and buildings
+ * The bar is only shown while its owner is damaged or selected so a
+ * healthy army doesn't clutter the map.
+ */
+class HealthBar {
+  /**
+   * Constructor for the HealthBar class
+   * @param {Phaser.Scene} scene - The scene this bar belongs to
+   * @param {Number} width - Width of the bar in pixels
+   * @param {Number} offsetY - Vertical offset from the owner's position
+   */
+  constructor(scene, width, offsetY) {
+    this.scene = scene;
+    this.width = width || CONSTANTS.HEALTH.BAR_WIDTH;
+    this.height = CONSTANTS.HEALTH.BAR_HEIGHT;
+    this.offsetY = offsetY;
+
+    this.graphics = scene.add.graphics();
+    this.graphics.setDepth(15); // Above sprites (10) but below UI
+    this.graphics.setVisible(false);
+
+    // Whether the bar has something to show, and whether its owner is
+    // hidden (e.g. by fog of war)
+    this.shown = false;
+    this.hidden = false;
+  }
+
+  /**
+   * Redraw the bar for the given health values
+   * @param {Number} health - Current hit points
+   * @param {Number} maxHealth - Maximum hit points
+   * @param {boolean} forceVisible - Show the bar even at full health
+   */
+  draw(health, maxHealth, forceVisible = false) {
+    const ratio = maxHealth > 0 ? Math.max(0, health / maxHealth) : 0;
+
+    this.graphics.clear();
+
+    // Only show the bar when it tells the player something
+    if (ratio >= 1 && !forceVisible) {
+      this.shown = false;
+      this.graphics.setVisible(false);
+      return;
+    }
+
+    const x = -this.width / 2;
+    const y = this.offsetY;
+
+    // Background
+    this.graphics.fillStyle(0x000000, 0.7);
+    this.graphics.fillRect(x, y, this.width, this.height);
+
+    // Fill color shifts from green to red as health drops
+    let fillColor = CONSTANTS.HEALTH.COLORS.HIGH;
+    if (ratio <= CONSTANTS.HEALTH.LOW_THRESHOLD) {
+      fillColor = CONSTANTS.HEALTH.COLORS.LOW;
+    } else if (ratio <= CONSTANTS.HEALTH.MEDIUM_THRESHOLD) {
+      fillColor = CONSTANTS.HEALTH.COLORS.MEDIUM;
+    }
+
+    this.graphics.fillStyle(fillColor, 1);
+    this.graphics.fillRect(x, y, this.width * ratio, this.height);
+
+    // Border
+    this.graphics.lineStyle(1, 0x000000, 0.8);
+    this.graphics.strokeRect(x, y, this.width, this.height);
+
+    this.shown = true;
+    this.graphics.setVisible(!this.hidden);
+  }
+
+  /**
+   * Hide the bar while its owner can't be seen
+   * @param {boolean} hidden - True to hide the bar
+   */
+  setHidden(hidden) {
+    this.hidden = hidden;
+    this.graphics.setVisible(this.shown && !hidden);
+  }
+
+  /**
+   * Move the bar to follow its owner
+   */
+  setPosition(x, y) {
+    this.graphics.x = x;
+    this.graphics.y = y;
+  }
+
+  // Clean up resources
+  destroy() {
+    this.graphics.destroy();
+  }
+}
+
+// Export the HealthBar class
+if (typeof module !== "undefined") {
+  module.exports = { HealthBar };
+}
@@ -0,0 +1,382 @@
+/**
+ * HexGrid - The layout of the hex map and fast lookups on it
+ * Hexes are pointy-topped and stored row by row ({row, col} "offset"
+ * coordinates), with odd rows shifted right by half a hex and the map
+ * centred on (0, 0).
+ *
+ * Distances, rings, ranges and lines are worked out in cube coordinates
+ * (x + y + z = 0), where every step to a neighbour changes two of the three
+ * by one. Axial coordinates are the cube's {q: x, r: z}.
+ */
+
+// Cube steps to the six neighbours, starting east and going clockwise
+const CUBE_DIRECTIONS = [
+  { x: 1, y: -1, z: 0 },
+  { x: 0, y: -1, z: 1 },
+  { x: -1, y: 0, z: 1 },
+  { x: -1, y: 1, z: 0 },
+  { x: 0, y: 1, z: -1 },
+  { x: 1, y: 0, z: -1 },
+];
+
+class HexGrid {
+  /**
+   * Constructor for the HexGrid class
+   * @param {Number} width - Map width in hexes
+   * @param {Number} height - Map height in hexes
+   * @param {Array} hexes - Hex tiles stored row by row (optional)
+   */
+  constructor(width, height, hexes = []) {
+    this.width = width;
+    this.height = height;
+    this.hexes = hexes;
+  }
+
+  // Height of a row (rows overlap by a quarter of a hex)
+  static get ROW_HEIGHT() {
+    return CONSTANTS.HEX_HEIGHT * 0.75;
+  }
+
+  /**
+   * Convert offset coordinates to cube coordinates
+   * @param {Object} hex - {row, col}
+   * @returns {Object} {x, y, z}
+   */
+  static toCube(hex) {
+    const x = hex.col - (hex.row - (hex.row & 1)) / 2;
+    const z = hex.row;
+    return { x, y: -x - z, z };
+  }
+
+  /**
+   * Convert cube coordinates to offset coordinates
+   * @param {Object} cube - {x, y, z}
+   * @returns {Object} {row, col}
+   */
+  static fromCube(cube) {
+    const row = cube.z;
+    return { row, col: cube.x + (row - (row & 1)) / 2 };
+  }
+
+  // Axial coordinates of a hex
+  static toAxial(hex) {
+    const cube = HexGrid.toCube(hex);
+    return { q: cube.x, r: cube.z };
+  }
+
+  static fromAxial(axial) {
+    return HexGrid.fromCube({ x: axial.q, y: -axial.q - axial.r, z: axial.r });
+  }
+
+  // Snap fractional cube coordinates to the hex containing them
+  static roundCube(cube) {
+    let x = Math.round(cube.x);
+    let y = Math.round(cube.y);
+    let z = Math.round(cube.z);
+
+    // Fix whichever coordinate was rounded furthest so they still sum to 0
+    const dx = Math.abs(x - cube.x);
+    const dy = Math.abs(y - cube.y);
+    const dz = Math.abs(z - cube.z);
+    if (dx > dy && dx > dz) {
+      x = -y - z;
+    } else if (dy > dz) {
+      y = -x - z;
+    } else {
+      z = -x - y;
+    }
+
+    // Avoid -0 leaking into the offset coordinates
+    return { x: x + 0, y: y + 0, z: z + 0 };
+  }
+
+  /**
+   * Number of steps between two hexes
+   * @param {Object} a - {row, col}
+   * @param {Object} b - {row, col}
+   */
+  static distance(a, b) {
+    const cubeA = HexGrid.toCube(a);
+    const cubeB = HexGrid.toCube(b);
+    return Math.max(
+      Math.abs(cubeA.x - cubeB.x),
+      Math.abs(cubeA.y - cubeB.y),
+      Math.abs(cubeA.z - cubeB.z)
+    );
+  }
+
+  /**
+   * Hexes exactly a number of steps from a hex (which may be off the map)
+   * @returns {Array} {row, col} of each hex, going round the ring
+   */
+  static ring(center, radius) {
+    if (radius === 0) return [{ row: center.row, col: center.col }];
+
+    const hexes = [];
+    const start = HexGrid.toCube(center);
+    let cube = {
+      x: start.x + CUBE_DIRECTIONS[4].x * radius,
+      y: start.y + CUBE_DIRECTIONS[4].y * radius,
+      z: start.z + CUBE_DIRECTIONS[4].z * radius,
+    };
+
+    CUBE_DIRECTIONS.forEach((direction) => {
+      for (let step = 0; step < radius; step++) {
+        hexes.push(HexGrid.fromCube(cube));
+        cube = {
+          x: cube.x + direction.x,
+          y: cube.y + direction.y,
+          z: cube.z + direction.z,
+        };
+      }
+    });
+
+    return hexes;
+  }
+
+  /**
+   * Hexes within a number of steps of a hex (which may be off the map)
+   * @returns {Array} {row, col} of each hex
+   */
+  static range(center, radius) {
+    const hexes = [];
+    const cube = HexGrid.toCube(center);
+
+    for (let x = -radius; x <= radius; x++) {
+      const minZ = Math.max(-radius, -x - radius);
+      const maxZ = Math.min(radius, -x + radius);
+      for (let z = minZ; z <= maxZ; z++) {
+        hexes.push(
+          HexGrid.fromCube({ x: cube.x + x, y: cube.y - x - z, z: cube.z + z })
+        );
+      }
+    }
+
+    return hexes;
+  }
+
+  /**
+   * Hexes on a straight line between two hexes, including both ends
+   * @returns {Array} {row, col} of each hex, in order from a to b
+   */
+  static line(a, b) {
+    const steps = HexGrid.distance(a, b);
+    const cubeA = HexGrid.toCube(a);
+    const cubeB = HexGrid.toCube(b);
+    const hexes = [];
+
+    // Nudged slightly so lines along hex edges always pick the same side
+    const nudge = { x: 1e-6, y: 2e-6, z: -3e-6 };
+    for (let i = 0; i <= steps; i++) {
+      const t = steps === 0 ? 0 : i / steps;
+      const lerp = (key) =>
+        cubeA[key] + nudge[key] + (cubeB[key] - cubeA[key]) * t;
+      hexes.push(
+        HexGrid.fromCube(
+          HexGrid.roundCube({ x: lerp("x"), y: lerp("y"), z: lerp("z") })
+        )
+      );
+    }
+
+    return hexes;
+  }
+
+  isOnMap(row, col) {
+    return row >= 0 && row < this.height && col >= 0 && col < this.width;
+  }
+
+  // Index of a hex in the row by row tile list
+  getIndex(row, col) {
+    return row * this.width + col;
+  }
+
+  /**
+   * Get the hex tile at a grid position
+   * @returns {Object} The tile, or null if off the map
+   */
+  getHex(row, col) {
+    if (!this.isOnMap(row, col)) return null;
+    return this.hexes[this.getIndex(row, col)] || null;
+  }
+
+  /**
+   * Get the world position of a hex
+   * @returns {Object} {x, y} of the hex's centre
+   */
+  getPosition(row, col) {
+    const rowHeight = HexGrid.ROW_HEIGHT;
+    let x = col * CONSTANTS.HEX_WIDTH - (this.width * CONSTANTS.HEX_WIDTH) / 2;
+    const y = row * rowHeight - (this.height * rowHeight) / 2;
+
+    // Offset for odd rows
+    if (row % 2 !== 0) {
+      x += CONSTANTS.HEX_WIDTH / 2;
+    }
+
+    return { x, y };
+  }
+
+  /**
+   * Get the world area covered by the map (used for the camera bounds)
+   */
+  getBounds() {
+    const width = this.width * CONSTANTS.HEX_WIDTH;
+    const height = this.height * HexGrid.ROW_HEIGHT;
+    return { x: -width / 2, y: -height / 2, width, height };
+  }
+
+  /**
+   * Find the hex containing a world position, whether or not it's on the map
+   * @returns {Object} {row, col}
+   */
+  pixelToHex(x, y) {
+    const origin = this.getPosition(0, 0);
+    const r = (y - origin.y) / HexGrid.ROW_HEIGHT;
+    const q = (x - origin.x) / CONSTANTS.HEX_WIDTH - r / 2;
+    return HexGrid.fromCube(HexGrid.roundCube({ x: q, y: -q - r, z: r }));
+  }
+
+  /**
+   * Find the hex containing a world position
+   * @returns {Object} {row, col}, or null if the position is off the map
+   */
+  getCoordsAt(x, y) {
+    const hex = this.pixelToHex(x, y);
+    return this.isOnMap(hex.row, hex.col) ? hex : null;
+  }
+
+  /**
+   * Get the index of the hex containing a world position
+   * @returns {Number} Index, or -1 if the position is off the map
+   */
+  getIndexAt(x, y) {
+    const hex = this.getCoordsAt(x, y);
+    return hex ? this.getIndex(hex.row, hex.col) : -1;
+  }
+
+  /**
+   * Get the hex tile containing a world position
+   * @returns {Object} The tile, or null if the position is off the map
+   */
+  getHexAt(x, y) {
+    const hex = this.getCoordsAt(x, y);
+    return hex ? this.getHex(hex.row, hex.col) : null;
+  }
+
+  /**
+   * Find the hex tile whose centre is closest to a world position
+   * Searches outwards ring by ring from the hex under the position, so it
+   * only looks at as many tiles as it needs to
+   * @param {Function} filter - Only consider tiles this returns true for
+   * @returns {Object} The tile, or null if no tile passes the filter
+   */
+  getClosestHex(x, y, filter = () => true) {
+    if (this.width === 0 || this.height === 0) return null;
+
+    // Start from the nearest hex on the map
+    const under = this.pixelToHex(x, y);
+    const center = {
+      row: Math.max(0, Math.min(this.height - 1, under.row)),
+      col: Math.max(0, Math.min(this.width - 1, under.col)),
+    };
+    const centerPosition = this.getPosition(center.row, center.col);
+    const offset = Math.hypot(centerPosition.x - x, centerPosition.y - y);
+
+    // Hexes n steps away are at least this far apart
+    const stepDistance = (CONSTANTS.HEX_WIDTH * Math.sqrt(3)) / 2;
+    const maxRadius = this.width + this.height;
+
+    let best = null;
+    let bestDistance = Number.MAX_VALUE;
+
+    for (let radius = 0; radius <= maxRadius; radius++) {
+      // Nothing further out can be closer than what we've found
+      if (radius * stepDistance - offset > bestDistance) break;
+
+      HexGrid.ring(center, radius).forEach(({ row, col }) => {
+        const hex = this.getHex(row, col);
+        if (!hex || !filter(hex)) return;
+
+        const distance = Math.hypot(hex.x - x, hex.y - y);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = hex;
+        }
+      });
+    }
+
+    return best;
+  }
+
+  /**
+   * Get the indices of every hex whose centre is within a radius of a point
+   * @param {Number} radius - Radius in world units
+   */
+  getIndicesInRadius(x, y, radius) {
+    const rowHeight = HexGrid.ROW_HEIGHT;
+    const indices = [];
+
+    const firstRow = Math.max(
+      0,
+      Math.floor((y - radius) / rowHeight + this.height / 2)
+    );
+    const lastRow = Math.min(
+      this.height - 1,
+      Math.ceil((y + radius) / rowHeight + this.height / 2)
+    );
+    const firstCol = Math.max(
+      0,
+      Math.floor((x - radius) / CONSTANTS.HEX_WIDTH + this.width / 2) - 1
+    );
+    const lastCol = Math.min(
+      this.width - 1,
+      Math.ceil((x + radius) / CONSTANTS.HEX_WIDTH + this.width / 2)
+    );
+
+    for (let row = firstRow; row <= lastRow; row++) {
+      for (let col = firstCol; col <= lastCol; col++) {
+        const position = this.getPosition(row, col);
+        if (
+          Math.pow(position.x - x, 2) + Math.pow(position.y - y, 2) <=
+          radius * radius
+        ) {
+          indices.push(this.getIndex(row, col));
+        }
+      }
+    }
+
+    return indices;
+  }
+
+  /**
+   * Neighbouring hexes on the map
+   * @returns {Array} {row, col} of each neighbour
+   */
+  getNeighbors(row, col) {
+    const shift = row % 2 !== 0 ? 0 : -1;
+    return [
+      { row: row - 1, col: col + shift },
+      { row: row - 1, col: col + shift + 1 },
+      { row: row, col: col - 1 },
+      { row: row, col: col + 1 },
+      { row: row + 1, col: col + shift },
+      { row: row + 1, col: col + shift + 1 },
+    ].filter((hex) => this.isOnMap(hex.row, hex.col));
+  }
+
+  /**
+   * Neighbouring hex tiles of a tile
+   * @returns {Array} The neighbouring tiles
+   */
+  getNeighborTiles(hex) {
+    const { row, col } = hex.gridPos;
+    return this.getNeighbors(row, col)
+      .map((next) => this.hexes[this.getIndex(next.row, next.col)])
+      .filter(Boolean);
+  }
+}
+
+// Export the HexGrid class
+if (typeof module !== "undefined") {
+  module.exports = { HexGrid, CUBE_DIRECTIONS };
+}
@@ -0,0 +1,193 @@
+/**
+ * HexLayer - Draws an image on every hex of a map in a few large batches
+ * Each hex is a Bob (a lightweight image) in a Phaser Blitter, and the map
+ * is split into square chunks of CONSTANTS.MAP.CHUNK_SIZE hexes with a
+ * Blitter each. Chunks outside the camera are hidden before every frame is
+ * drawn, so only what is on screen costs anything, however big the map.
+ * Changing a hex only updates its own Bob.
+ *
+ * The images are frames of one texture made by HexLayer.createTexture.
+ */
+class HexLayer {
+  /**
+   * Constructor for the HexLayer class
+   * @param {Phaser.Scene} scene - The scene to draw in
+   * @param {HexGrid} grid - The map's hex grid
+   * @param {String} textureKey - Texture made by HexLayer.createTexture
+   * @param {Number} depth - Depth of the layer
+   */
+  constructor(scene, grid, textureKey, depth = 0) {
+    this.scene = scene;
+    this.grid = grid;
+    this.textureKey = textureKey;
+    this.bobs = new Array(grid.width * grid.height).fill(null);
+    this.chunks = [];
+
+    const chunkSize = CONSTANTS.MAP.CHUNK_SIZE;
+    const scale = CONSTANTS.MAP.TEXTURE_SCALE;
+    const cell = HexLayer.getCellSize();
+
+    for (let top = 0; top < grid.height; top += chunkSize) {
+      for (let left = 0; left < grid.width; left += chunkSize) {
+        const blitter = scene.add.blitter(0, 0, textureKey);
+        blitter.setScale(1 / scale);
+        blitter.setDepth(depth);
+
+        // World area the chunk's hexes cover, for culling (with room for
+        // rows shifted by half a hex)
+        const first = grid.getPosition(top, left);
+        const last = grid.getPosition(
+          Math.min(grid.height, top + chunkSize) - 1,
+          Math.min(grid.width, left + chunkSize) - 1
+        );
+        this.chunks.push({
+          blitter: blitter,
+          left: first.x - cell.width,
+          top: first.y - cell.height / 2,
+          right: last.x + cell.width,
+          bottom: last.y + cell.height / 2,
+        });
+      }
+    }
+
+    this.chunksPerRow = Math.ceil(grid.width / chunkSize);
+
+    scene.events.on("prerender", this.cull, this);
+  }
+
+  /**
+   * Size of each hex image, with a little room for edges and outlines
+   * @returns {Object} {width, height} in world units
+   */
+  static getCellSize() {
+    return {
+      width: Math.ceil(CONSTANTS.HEX_WIDTH) + 2,
+      height: CONSTANTS.HEX_HEIGHT + 2,
+    };
+  }
+
+  /**
+   * Make a texture with one hex image per frame (if it doesn't exist yet)
+   * Images are drawn at CONSTANTS.MAP.TEXTURE_SCALE so they stay sharp when
+   * the camera zooms in
+   * @param {Phaser.Scene} scene - Any scene of the game
+   * @param {String} key - Texture key
+   * @param {Object} frames - Frame name -> function(graphics, x, y) that
+   *   draws the hex centred on (x, y)
+   */
+  static createTexture(scene, key, frames) {
+    if (scene.textures.exists(key)) return;
+
+    const scale = CONSTANTS.MAP.TEXTURE_SCALE;
+    const cell = HexLayer.getCellSize();
+    const names = Object.keys(frames);
+
+    const graphics = scene.make.graphics({}, false);
+    names.forEach((name, index) => {
+      frames[name](
+        graphics,
+        cell.width * index + cell.width / 2,
+        cell.height / 2
+      );
+    });
+    graphics.setScale(scale);
+
+    const texture = scene.textures.addDynamicTexture(
+      key,
+      cell.width * names.length * scale,
+      cell.height * scale
+    );
+    texture.draw(graphics);
+    graphics.destroy();
+
+    names.forEach((name, index) => {
+      texture.add(
+        name,
+        0,
+        cell.width * index * scale,
+        0,
+        cell.width * scale,
+        cell.height * scale
+      );
+    });
+  }
+
+  /**
+   * Show a frame on a hex
+   * @param {Number} index - Index of the hex (see HexGrid.getIndex)
+   * @param {String} frame - Frame name, or null to show nothing
+   * @param {Number} alpha - Opacity of the image
+   */
+  setHex(index, frame, alpha = 1) {
+    let bob = this.bobs[index];
+
+    if (!frame) {
+      if (bob) bob.setVisible(false);
+      return;
+    }
+
+    if (!bob) {
+      const scale = CONSTANTS.MAP.TEXTURE_SCALE;
+      const cell = HexLayer.getCellSize();
+      const row = Math.floor(index / this.grid.width);
+      const col = index % this.grid.width;
+      const position = this.grid.getPosition(row, col);
+
+      bob = this.getChunk(row, col).blitter.create(
+        (position.x - cell.width / 2) * scale,
+        (position.y - cell.height / 2) * scale,
+        frame
+      );
+      this.bobs[index] = bob;
+    } else if (bob.frame.name !== frame) {
+      bob.setFrame(frame);
+    }
+
+    bob.setVisible(true);
+    bob.setAlpha(alpha);
+  }
+
+  getChunk(row, col) {
+    const chunkSize = CONSTANTS.MAP.CHUNK_SIZE;
+    return this.chunks[
+      Math.floor(row / chunkSize) * this.chunksPerRow +
+        Math.floor(col / chunkSize)
+    ];
+  }
+
+  // Hide the chunks the main camera can't see
+  cull() {
+    const camera = this.scene.cameras.main;
+    const width = camera.width / camera.zoom;
+    const height = camera.height / camera.zoom;
+
+    // A hex of margin covers any scrolling the camera does while rendering
+    const margin = CONSTANTS.HEX_WIDTH;
+    const left = camera.scrollX + (camera.width - width) / 2 - margin;
+    const top = camera.scrollY + (camera.height - height) / 2 - margin;
+    const right = left + width + margin * 2;
+    const bottom = top + height + margin * 2;
+
+    this.chunks.forEach((chunk) => {
+      chunk.blitter.setVisible(
+        chunk.right >= left &&
+          chunk.left <= right &&
+          chunk.bottom >= top &&
+          chunk.top <= bottom
+      );
+    });
+  }
+
+  // Clean up resources
+  destroy() {
+    this.scene.events.off("prerender", this.cull, this);
+    this.chunks.forEach((chunk) => chunk.blitter.destroy());
+    this.chunks = [];
+    this.bobs = [];
+  }
+}
+
+// Export the HexLayer class
+if (typeof module !== "undefined") {
+  module.exports = { HexLayer };
+}
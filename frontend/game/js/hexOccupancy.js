@@ -0,0 +1,127 @@
+/**
+ * HexOccupancy - Keeps track of what stands on each hex of the map
+ * Buildings (blueprints included) reserve their hex for as long as they
+ * exist, and nothing can walk through it. Units reserve the hex they are
+ * heading for (or standing on), and each hex only has room for
+ * CONSTANTS.MOVEMENT.UNITS_PER_HEX units, so a group ordered to one point
+ * spreads out over the hexes around it instead of piling up.
+ */
+class HexOccupancy {
+  /**
+   * Constructor for the HexOccupancy class
+   * @param {HexGrid} grid - The map's hex grid
+   */
+  constructor(grid) {
+    this.grid = grid;
+    this.buildings = new Array(grid.width * grid.height).fill(null);
+    this.unitCounts = new Uint16Array(grid.width * grid.height);
+
+    // Hex index each unit has reserved
+    this.unitHexes = new Map();
+  }
+
+  getIndex(hex) {
+    return this.grid.getIndex(hex.gridPos.row, hex.gridPos.col);
+  }
+
+  /**
+   * Reserve the hex under a building
+   * @param {Building} building - Building or blueprint
+   */
+  reserveBuilding(building) {
+    const index = this.grid.getIndexAt(building.x, building.y);
+    if (index !== -1) {
+      this.buildings[index] = building;
+    }
+  }
+
+  // Free the hex under a building
+  releaseBuilding(building) {
+    const index = this.grid.getIndexAt(building.x, building.y);
+    if (index !== -1 && this.buildings[index] === building) {
+      this.buildings[index] = null;
+    }
+  }
+
+  /**
+   * Get the building standing on a hex
+   * @returns {Building} The building, or null if there is none
+   */
+  getBuilding(hex) {
+    return this.buildings[this.getIndex(hex)];
+  }
+
+  // Check if a building stops units from entering a hex
+  isBlocked(hex) {
+    return this.buildings[this.getIndex(hex)] !== null;
+  }
+
+  // Check if a building can go on a hex: nothing is built there and no
+  // unit is standing on it or heading for it
+  isFree(hex) {
+    const index = this.getIndex(hex);
+    return this.buildings[index] === null && this.unitCounts[index] === 0;
+  }
+
+  /**
+   * Reserve a hex for a unit, freeing the one it had before
+   * @param {Mobile_Object} unit - The unit
+   * @param {Object} hex - Hex tile the unit is heading for or standing on
+   */
+  reserveUnit(unit, hex) {
+    this.releaseUnit(unit);
+
+    const index = this.getIndex(hex);
+    this.unitHexes.set(unit, index);
+    this.unitCounts[index]++;
+  }
+
+  // Free the hex a unit has reserved
+  releaseUnit(unit) {
+    const index = this.unitHexes.get(unit);
+    if (index === undefined) return;
+
+    this.unitHexes.delete(unit);
+    this.unitCounts[index]--;
+  }
+
+  // Number of units that have reserved a hex
+  getUnitCount(hex) {
+    return this.unitCounts[this.getIndex(hex)];
+  }
+
+  /**
+   * Check if a unit can stop on a hex
+   * @param {Object} hex - Hex tile
+   * @param {Mobile_Object} unit - The unit (its own reservation doesn't
+   *   count against it), or null for a new unit
+   * @returns {boolean} False if a building is on the hex or it's full
+   */
+  hasRoom(hex, unit = null) {
+    const index = this.getIndex(hex);
+    if (this.buildings[index] !== null) return false;
+
+    let count = this.unitCounts[index];
+    if (unit && this.unitHexes.get(unit) === index) count--;
+
+    return count < CONSTANTS.MOVEMENT.UNITS_PER_HEX;
+  }
+
+  /**
+   * Find the hex closest to a point that a unit can stop on
+   * @param {Function} canEnter - Returns whether the unit can enter a hex
+   * @returns {Object} The hex tile, or null if the map is full
+   */
+  findFreeHex(x, y, unit, canEnter) {
+    return this.grid.getClosestHex(
+      x,
+      y,
+      (hex) => canEnter(hex) && this.hasRoom(hex, unit)
+    );
+  }
+}
+
+// Export the HexOccupancy class
+if (typeof module !== "undefined") {
+  module.exports = { HexOccupancy };
+}
@@ -0,0 +1,511 @@
+/**
+ * MapEditor - Paints and edits maps in the JSON map format
+ * Hexes are drawn with the same terrain texture and layout as the game
+ * (see MapLoader.createTerrainTexture), so a map looks the same in the
+ * editor and in a match.
+ * Tools:
+ * - terrain: Paint the chosen terrain with a round brush
+ * - fill: Flood fill a connected area of one terrain
+ * - start: Place a player's start position
+ * - resource: Add or remove a gold node
+ * - throne: Move the throne
+ * - erase: Remove any start, resource or structure on a hex
+ * With symmetry on, every edit is copied to the mirrored (or rotated) hex,
+ * and a start position placed for one player places the other player's
+ * start on the matching hex.
+ */
+class MapEditor {
+  /**
+   * Constructor for the MapEditor class
+   * @param {Phaser.Scene} scene - The editor scene
+   */
+  constructor(scene) {
+    this.scene = scene;
+
+    // The map being edited
+    this.name = "";
+    this.description = "";
+    this.aiScript = null; // Kept from the loaded map, see MapLoader
+    this.width = 0;
+    this.height = 0;
+    this.grid = new HexGrid(0, 0);
+    this.terrain = []; // Keys in TERRAIN_TYPES, row by row
+    this.startPositions = [];
+    this.resources = [];
+    this.structures = [];
+
+    // Tool settings
+    this.tool = "terrain";
+    this.terrainType = "grass";
+    this.brushRadius = 0;
+    this.symmetry = "none"; // "none", "mirror" or "rotational"
+    this.player = 1; // Player whose start the start tool places
+
+    // History (each entry is a whole map as JSON)
+    this.undoStack = [];
+    this.redoStack = [];
+    this.strokeStart = null;
+    this.lastStrokeHex = null;
+
+    MapLoader.createTerrainTexture(scene);
+    this.tileLayer = null;
+    this.markerGraphics = scene.add.graphics().setDepth(2);
+    this.markerLabels = [];
+    this.problemGraphics = scene.add.graphics().setDepth(4);
+    this.cursorGraphics = scene.add.graphics().setDepth(5);
+  }
+
+  /**
+   * Make an empty map: grass with an ocean border, two starts on opposite
+   * sides and the throne in the middle
+   * @returns {Object} A map in the format read by MapLoader.parse
+   */
+  static createBlankMap(width, height, name = "Untitled") {
+    const row = Math.floor(height / 2);
+    const terrain = [];
+    for (let r = 0; r < height; r++) {
+      let line = "";
+      for (let c = 0; c < width; c++) {
+        const isBorder =
+          r === 0 || c === 0 || r === height - 1 || c === width - 1;
+        line += isBorder
+          ? TERRAIN_TYPES.ocean.symbol
+          : TERRAIN_TYPES.grass.symbol;
+      }
+      terrain.push(line);
+    }
+
+    return {
+      version: MAP_FORMAT_VERSION,
+      name: name,
+      description: "",
+      width: width,
+      height: height,
+      terrain: terrain,
+      startPositions: [
+        { player: 1, row: row, col: 2 },
+        { player: 2, row: row, col: width - 3 },
+      ],
+      resources: [],
+      structures: [{ type: "throne", row: row, col: Math.floor(width / 2) }],
+    };
+  }
+
+  /**
+   * Start editing a map (clears the undo history)
+   * @param {Object} map - A map in the JSON map format
+   */
+  setMap(map) {
+    this.restore(map);
+    this.undoStack = [];
+    this.redoStack = [];
+    this.notifyChanged();
+  }
+
+  // Replace everything being edited with a map and redraw it
+  restore(map) {
+    this.name = map.name || "";
+    this.description = map.description || "";
+    this.aiScript = map.aiScript || null;
+    this.width = map.width;
+    this.height = map.height;
+    if (this.grid.width !== map.width || this.grid.height !== map.height) {
+      this.grid = new HexGrid(map.width, map.height);
+    }
+    this.terrain = [];
+    for (let row = 0; row < map.height; row++) {
+      for (let col = 0; col < map.width; col++) {
+        this.terrain.push(MapLoader.getTerrain(map, row, col) || "ocean");
+      }
+    }
+    this.startPositions = (map.startPositions || []).map((start) => ({
+      ...start,
+    }));
+    this.resources = (map.resources || []).map((resource) => ({
+      ...resource,
+    }));
+    this.structures = (map.structures || []).map((structure) => ({
+      ...structure,
+    }));
+
+    this.drawAll();
+  }
+
+  /**
+   * Get the map being edited in the JSON map format
+   * @returns {Object} The map (not yet checked by MapLoader.parse)
+   */
+  toMap() {
+    const terrain = [];
+    for (let row = 0; row < this.height; row++) {
+      let line = "";
+      for (let col = 0; col < this.width; col++) {
+        line += TERRAIN_TYPES[this.terrain[row * this.width + col]].symbol;
+      }
+      terrain.push(line);
+    }
+
+    return {
+      version: MAP_FORMAT_VERSION,
+      name: this.name,
+      description: this.description,
+      width: this.width,
+      height: this.height,
+      terrain: terrain,
+      startPositions: [...this.startPositions].sort(
+        (a, b) => a.player - b.player
+      ),
+      resources: this.resources,
+      structures: this.structures,
+      ...(this.aiScript ? { aiScript: this.aiScript } : {}),
+    };
+  }
+
+  serialize() {
+    return JSON.stringify(this.toMap());
+  }
+
+  // Let the page know the map or its history changed
+  notifyChanged() {
+    if (this.scene.onMapEdited) {
+      this.scene.onMapEdited(this);
+    }
+  }
+
+  isOnMap(row, col) {
+    return this.grid.isOnMap(row, col);
+  }
+
+  // Hexes within the brush radius of a hex
+  getBrushHexes(center) {
+    return HexGrid.range(center, this.brushRadius).filter((hex) =>
+      this.isOnMap(hex.row, hex.col)
+    );
+  }
+
+  /**
+   * Get the hex matching a hex under the current symmetry
+   * @returns {Object} {row, col}, or null with symmetry off
+   */
+  getSymmetricHex(hex) {
+    if (this.symmetry === "mirror") {
+      return { row: hex.row, col: this.width - 1 - hex.col };
+    }
+    if (this.symmetry === "rotational") {
+      return { row: this.height - 1 - hex.row, col: this.width - 1 - hex.col };
+    }
+    return null;
+  }
+
+  // A hex plus its symmetric copy (if it's a different hex)
+  withSymmetry(hex) {
+    const copy = this.getSymmetricHex(hex);
+    if (!copy || (copy.row === hex.row && copy.col === hex.col)) {
+      return [hex];
+    }
+    return [hex, copy];
+  }
+
+  /**
+   * Start an edit at a world position (pointer down)
+   * A whole brush stroke is undone in one step
+   */
+  startStroke(x, y) {
+    const hex = this.grid.getCoordsAt(x, y);
+    if (!hex) return;
+
+    this.strokeStart = this.serialize();
+    this.lastStrokeHex = hex;
+    this.applyTool(hex);
+  }
+
+  // Keep painting while the pointer is dragged
+  continueStroke(x, y) {
+    if (!this.strokeStart || this.tool !== "terrain") return;
+
+    const hex = this.grid.getCoordsAt(x, y);
+    if (
+      !hex ||
+      (hex.row === this.lastStrokeHex.row && hex.col === this.lastStrokeHex.col)
+    ) {
+      return;
+    }
+
+    this.lastStrokeHex = hex;
+    this.applyTool(hex);
+  }
+
+  // Finish the edit, adding it to the undo history if anything changed
+  endStroke() {
+    if (!this.strokeStart) return;
+
+    if (this.serialize() !== this.strokeStart) {
+      this.pushHistory(this.undoStack, this.strokeStart);
+      this.redoStack = [];
+    }
+    this.strokeStart = null;
+    this.notifyChanged();
+  }
+
+  pushHistory(stack, entry) {
+    stack.push(entry);
+    if (stack.length > CONSTANTS.MAP.EDITOR.UNDO_LIMIT) {
+      stack.shift();
+    }
+  }
+
+  undo() {
+    if (this.undoStack.length === 0) return;
+    this.pushHistory(this.redoStack, this.serialize());
+    this.restore(JSON.parse(this.undoStack.pop()));
+    this.notifyChanged();
+  }
+
+  redo() {
+    if (this.redoStack.length === 0) return;
+    this.pushHistory(this.undoStack, this.serialize());
+    this.restore(JSON.parse(this.redoStack.pop()));
+    this.notifyChanged();
+  }
+
+  // Use the current tool on a hex
+  applyTool(hex) {
+    this.problemGraphics.clear();
+
+    switch (this.tool) {
+      case "terrain":
+        this.withSymmetry(hex).forEach((center) => {
+          this.getBrushHexes(center).forEach((brushHex) =>
+            this.setTerrain(brushHex, this.terrainType)
+          );
+        });
+        break;
+      case "fill":
+        this.withSymmetry(hex).forEach((start) => this.floodFill(start));
+        break;
+      case "start":
+        this.placeStart(hex);
+        break;
+      case "resource":
+        this.toggleResource(hex);
+        break;
+      case "throne":
+        this.structures = this.structures.filter(
+          (structure) => structure.type !== "throne"
+        );
+        this.clearHex(hex);
+        this.structures.push({ type: "throne", ...hex });
+        break;
+      case "erase":
+        this.withSymmetry(hex).forEach((target) => this.clearHex(target));
+        break;
+    }
+
+    this.drawMarkers();
+  }
+
+  setTerrain(hex, terrain) {
+    const index = hex.row * this.width + hex.col;
+    if (this.terrain[index] === terrain) return;
+
+    this.terrain[index] = terrain;
+    this.drawTile(hex.row, hex.col);
+  }
+
+  // Paint every connected hex of the same terrain as the starting hex
+  floodFill(start) {
+    const target = this.terrain[start.row * this.width + start.col];
+    if (target === this.terrainType) return;
+
+    const queue = [start];
+    this.setTerrain(start, this.terrainType);
+    while (queue.length > 0) {
+      const hex = queue.pop();
+      this.grid.getNeighbors(hex.row, hex.col).forEach((next) => {
+        if (this.terrain[next.row * this.width + next.col] === target) {
+          this.setTerrain(next, this.terrainType);
+          queue.push(next);
+        }
+      });
+    }
+  }
+
+  /**
+   * Place the chosen player's start, moving it if already placed
+   * With symmetry on, the paired player (1 and 2, 3 and 4) gets the
+   * matching hex
+   */
+  placeStart(hex) {
+    const partner = this.player % 2 === 1 ? this.player + 1 : this.player - 1;
+    const copy = this.withSymmetry(hex)[1];
+
+    const place = (player, target) => {
+      this.startPositions = this.startPositions.filter(
+        (start) => start.player !== player
+      );
+      this.clearHex(target);
+      this.startPositions.push({ player, ...target });
+    };
+
+    place(this.player, hex);
+    if (copy) place(partner, copy);
+  }
+
+  // Add a gold node, or remove the one already on the hex
+  toggleResource(hex) {
+    const remove = !!this.getResourceAt(hex);
+    this.withSymmetry(hex).forEach((target) => {
+      this.clearHex(target);
+      if (!remove) this.resources.push({ type: "gold", ...target });
+    });
+  }
+
+  getResourceAt(hex) {
+    return this.resources.find(
+      (resource) => resource.row === hex.row && resource.col === hex.col
+    );
+  }
+
+  // Remove any start, resource or structure on a hex
+  clearHex(hex) {
+    const elsewhere = (entry) => entry.row !== hex.row || entry.col !== hex.col;
+    this.startPositions = this.startPositions.filter(elsewhere);
+    this.resources = this.resources.filter(elsewhere);
+    this.structures = this.structures.filter(elsewhere);
+  }
+
+  // Redraw every hex and marker
+  drawAll() {
+    this.problemGraphics.clear();
+
+    // A new layer only when the map changes size
+    if (!this.tileLayer || this.tileLayer.grid !== this.grid) {
+      if (this.tileLayer) this.tileLayer.destroy();
+      this.tileLayer = new HexLayer(this.scene, this.grid, TERRAIN_TEXTURE);
+    }
+
+    for (let row = 0; row < this.height; row++) {
+      for (let col = 0; col < this.width; col++) {
+        this.drawTile(row, col);
+      }
+    }
+    this.drawMarkers();
+  }
+
+  drawTile(row, col) {
+    const index = this.grid.getIndex(row, col);
+    this.tileLayer.setHex(index, this.terrain[index]);
+  }
+
+  // Draw start positions, gold nodes and structures over the hexes
+  drawMarkers() {
+    const graphics = this.markerGraphics;
+    graphics.clear();
+    this.markerLabels.forEach((label) => label.destroy());
+    this.markerLabels = [];
+
+    const addLabel = (position, text) => {
+      this.markerLabels.push(
+        this.scene.add
+          .text(position.x, position.y, text, {
+            fontSize: "16px",
+            fontStyle: "bold",
+            fill: "#ffffff",
+          })
+          .setOrigin(0.5)
+          .setDepth(3)
+      );
+    };
+
+    this.resources.forEach((resource) => {
+      const position = this.grid.getPosition(resource.row, resource.col);
+      graphics.fillStyle(CONSTANTS.MAP.RESOURCE_COLOR, 1);
+      graphics.fillCircle(position.x - 8, position.y + 4, 6);
+      graphics.fillCircle(position.x + 7, position.y + 6, 5);
+      graphics.fillCircle(position.x, position.y - 7, 5);
+    });
+
+    this.structures.forEach((structure) => {
+      const position = this.grid.getPosition(structure.row, structure.col);
+      if (structure.type === "throne") {
+        graphics.fillStyle(0x5a3a1a, 1);
+        graphics.fillRect(position.x - 10, position.y - 6, 20, 16);
+        graphics.fillStyle(0xffd700, 1);
+        graphics.fillTriangle(
+          position.x - 10,
+          position.y - 6,
+          position.x,
+          position.y - 18,
+          position.x + 10,
+          position.y - 6
+        );
+      } else {
+        // Neutral buildings from a loaded map
+        graphics.fillStyle(0x888888, 1);
+        graphics.fillRect(position.x - 14, position.y - 14, 28, 28);
+        addLabel(position, structure.type.charAt(0).toUpperCase());
+      }
+    });
+
+    this.startPositions.forEach((start) => {
+      const position = this.grid.getPosition(start.row, start.col);
+      const colors = CONSTANTS.MAP.EDITOR.PLAYER_COLORS;
+      graphics.fillStyle(colors[(start.player - 1) % colors.length], 1);
+      graphics.fillCircle(position.x, position.y, 16);
+      graphics.lineStyle(2, 0xffffff, 1);
+      graphics.strokeCircle(position.x, position.y, 16);
+      addLabel(position, String(start.player));
+    });
+  }
+
+  // Outline the hexes the current tool would change at a world position
+  drawCursor(x, y) {
+    const graphics = this.cursorGraphics;
+    graphics.clear();
+
+    const hex = this.grid.getCoordsAt(x, y);
+    if (!hex) return;
+
+    const hexes = [];
+    this.withSymmetry(hex).forEach((center) => {
+      if (this.tool === "terrain") {
+        hexes.push(...this.getBrushHexes(center));
+      } else if (this.tool !== "throne" || center === hex) {
+        hexes.push(center);
+      }
+    });
+
+    graphics.lineStyle(2, 0xffffff, 0.9);
+    hexes.forEach((target) => this.strokeHex(graphics, target));
+  }
+
+  /**
+   * Outline hexes with problems found by MapValidator
+   * (cleared by the next edit)
+   * @param {Array} hexes - {row, col} of each hex
+   */
+  showProblems(hexes) {
+    const graphics = this.problemGraphics;
+    graphics.clear();
+    graphics.lineStyle(4, 0xff3333, 1);
+    hexes.forEach((hex) => this.strokeHex(graphics, hex));
+  }
+
+  strokeHex(graphics, hex) {
+    const position = this.grid.getPosition(hex.row, hex.col);
+    const points = [];
+    for (let i = 0; i < 6; i++) {
+      const angle = (i * Math.PI) / 3 - Math.PI / 6;
+      points.push({
+        x: position.x + CONSTANTS.HEX_SIZE * Math.cos(angle),
+        y: position.y + CONSTANTS.HEX_SIZE * Math.sin(angle),
+      });
+    }
+    graphics.strokePoints(points, true);
+  }
+}
+
+// Export the MapEditor class
+if (typeof module !== "undefined") {
+  module.exports = { MapEditor };
+}
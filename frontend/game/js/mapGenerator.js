@@ -0,0 +1,608 @@
+/**
+ * MapGenerator - Builds random maps from a numeric seed
+ * The same seed and options always give the same map, so players can share
+ * a seed to replay a map. Maps come out in the JSON map format MapLoader
+ * reads:
+ * - A central island joined by land bridges to one or more islands in
+ *   each player's part of the map
+ * - Noisy coastlines, bays and small lakes
+ * - Beaches, forests, hills, mountains and shallows, with roads from each
+ *   start to the throne
+ * - Every player's part is a copy of player 1's, mirrored or rotated
+ *   around the centre, so starts and resources are fair
+ * - A start position and gold nodes for each player, and the throne in
+ *   the middle
+ */
+
+// Small, fast random number generator that can be seeded (mulberry32)
+class SeededRandom {
+  constructor(seed) {
+    this.state = seed >>> 0;
+  }
+
+  // Next number in [0, 1)
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Number in [min, max)
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+}
+
+class MapGenerator {
+  /**
+   * Constructor for the MapGenerator class
+   * Missing or out of range options fall back to CONSTANTS.MAP.GENERATOR
+   * @param {Object} options - Generator options
+   * @param {Number} options.seed - Any integer (random if not given)
+   * @param {Number} options.width - Map width in hexes
+   * @param {Number} options.height - Map height in hexes
+   * @param {Number} options.landRatio - Share of the map that is land
+   * @param {Number} options.islands - Islands in each player's part
+   * @param {String} options.symmetry - "mirror" or "rotational"
+   *   (3 players always use rotational)
+   * @param {Number} options.players - Number of players, 2 to 4
+   * @param {Number} options.resourcesPerPlayer - Gold nodes near each start
+   */
+  constructor(options = {}) {
+    const defaults = CONSTANTS.MAP.GENERATOR;
+    const number = (value, fallback, min, max) => {
+      const parsed = Number(value);
+      if (value === null || value === undefined || !Number.isFinite(parsed)) {
+        return fallback;
+      }
+      return Math.max(min, Math.min(max, parsed));
+    };
+
+    this.seed = Math.floor(
+      number(options.seed, MapGenerator.randomSeed(), 0, 0xffffffff)
+    );
+    this.width = Math.round(
+      number(
+        options.width,
+        defaults.WIDTH,
+        defaults.MIN_SIZE,
+        defaults.MAX_SIZE
+      )
+    );
+    this.height = Math.round(
+      number(
+        options.height,
+        defaults.HEIGHT,
+        defaults.MIN_SIZE,
+        defaults.MAX_SIZE
+      )
+    );
+    this.grid = new HexGrid(this.width, this.height);
+    this.landRatio = number(options.landRatio, defaults.LAND_RATIO, 0.2, 0.8);
+    this.islands = Math.round(number(options.islands, defaults.ISLANDS, 1, 4));
+    this.players = Math.round(number(options.players, 2, 2, 4));
+    this.resourcesPerPlayer = Math.round(
+      number(options.resourcesPerPlayer, defaults.RESOURCES_PER_PLAYER, 0, 4)
+    );
+
+    this.symmetry = ["mirror", "rotational"].includes(options.symmetry)
+      ? options.symmetry
+      : defaults.SYMMETRY;
+    if (this.players === 3) this.symmetry = "rotational";
+
+    this.random = new SeededRandom(this.seed);
+    this.setupSymmetry();
+  }
+
+  // Pick a seed for a new random map
+  static randomSeed() {
+    return Math.floor(Math.random() * 1000000);
+  }
+
+  /**
+   * Work out the shape of the land area and the direction of player 1
+   * Positions are handled in normalised units, where the land area is
+   * the unit circle (an ellipse on the map)
+   */
+  setupSymmetry() {
+    const rowHeight = CONSTANTS.HEX_HEIGHT * 0.75;
+
+    // Leave a hex of ocean around the edge
+    this.radiusX = ((this.width - 2) * CONSTANTS.HEX_WIDTH) / 2;
+    this.radiusY = ((this.height - 2) * rowHeight) / 2;
+
+    // Rotating by less than half a turn needs a round land area
+    if (this.symmetry === "rotational" && this.players > 2) {
+      this.radiusX = Math.min(this.radiusX, this.radiusY);
+      this.radiusY = this.radiusX;
+    }
+
+    // Player 1 starts on the left (top-left with four mirrored players)
+    this.playerAngle =
+      this.symmetry === "mirror" && this.players === 4
+        ? (-3 * Math.PI) / 4
+        : Math.PI;
+    this.sectorAngle = (2 * Math.PI) / this.players;
+  }
+
+  // Normalised position of a hex (the map centre is 0, 0)
+  getHexPoint(row, col) {
+    const rowHeight = CONSTANTS.HEX_HEIGHT * 0.75;
+    return {
+      u: ((col - (this.width - 1) / 2) * CONSTANTS.HEX_WIDTH) / this.radiusX,
+      v: ((row - (this.height - 1) / 2) * rowHeight) / this.radiusY,
+    };
+  }
+
+  // Nearest hex to a normalised position
+  getPointHex(u, v) {
+    const rowHeight = CONSTANTS.HEX_HEIGHT * 0.75;
+    const row = Math.round(
+      (v * this.radiusY) / rowHeight + (this.height - 1) / 2
+    );
+    const col = Math.round(
+      (u * this.radiusX) / CONSTANTS.HEX_WIDTH + (this.width - 1) / 2
+    );
+    return {
+      row: Math.max(0, Math.min(this.height - 1, row)),
+      col: Math.max(0, Math.min(this.width - 1, col)),
+    };
+  }
+
+  /**
+   * Move a point from any player's part of the map into player 1's part
+   * Every point with the same result gets the same land, which is what
+   * makes the map symmetric
+   */
+  toPlayerOnePart(u, v) {
+    if (this.symmetry === "mirror") {
+      return {
+        u: -Math.abs(u),
+        v: this.players === 4 ? -Math.abs(v) : v,
+      };
+    }
+
+    const angle = Math.atan2(v, u) - this.playerAngle;
+    const turns = Math.round(angle / this.sectorAngle);
+    return this.rotate(u, v, -turns * this.sectorAngle);
+  }
+
+  /**
+   * Move a point from player 1's part of the map into another player's
+   * Player 2 is always opposite player 1
+   * @param {Number} index - Player index (0 is player 1)
+   */
+  toPlayerPart(u, v, index) {
+    if (this.symmetry === "mirror") {
+      const flips = [
+        { u: 1, v: 1 },
+        { u: -1, v: this.players === 4 ? -1 : 1 },
+        { u: -1, v: 1 },
+        { u: 1, v: -1 },
+      ];
+      return { u: u * flips[index].u, v: v * flips[index].v };
+    }
+
+    const turns = this.players === 4 ? [0, 2, 1, 3][index] : index;
+    return this.rotate(u, v, turns * this.sectorAngle);
+  }
+
+  rotate(u, v, angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return { u: u * cos - v * sin, v: u * sin + v * cos };
+  }
+
+  /**
+   * Place player 1's islands, land bridges and lakes
+   * (all in normalised units)
+   */
+  createFeatures() {
+    const random = this.random;
+    const halfSector = this.sectorAngle / 2;
+    const direction = (angle, distance) => ({
+      u: Math.cos(angle) * distance,
+      v: Math.sin(angle) * distance,
+    });
+
+    // Size of everything scales with the amount of land wanted
+    const size = 0.6 + this.landRatio;
+
+    // The start island, then any extra islands spread over the player's part
+    this.start = direction(this.playerAngle, 0.62);
+    this.blobs = [{ ...this.start, radius: 0.26 * size }];
+    for (let i = 1; i < this.islands; i++) {
+      const angle = this.playerAngle + random.range(-0.7, 0.7) * halfSector;
+      this.blobs.push({
+        ...direction(angle, random.range(0.35, 0.85)),
+        radius: random.range(0.12, 0.2) * size,
+      });
+    }
+
+    // Central island holding the throne
+    this.blobs.push({ u: 0, v: 0, radius: 0.18 * size });
+
+    // Every island has a land bridge to the centre
+    this.bridgeWidth = (1.5 * CONSTANTS.HEX_WIDTH) / this.radiusX;
+    this.bridges = this.blobs
+      .slice(0, this.islands)
+      .map((blob) => ({ from: blob, to: { u: 0, v: 0 } }));
+
+    // A few lakes, kept away from the start
+    this.lakes = [];
+    const lakeCount = Math.floor(random.range(0, 3));
+    for (let i = 0; i < lakeCount; i++) {
+      const angle = this.playerAngle + random.range(-0.8, 0.8) * halfSector;
+      const lake = {
+        ...direction(angle, random.range(0.2, 0.9)),
+        radius: random.range(0.06, 0.12),
+      };
+      if (this.getDistance(lake, this.start) > 0.25) this.lakes.push(lake);
+    }
+  }
+
+  getDistance(a, b) {
+    return Math.sqrt(Math.pow(a.u - b.u, 2) + Math.pow(a.v - b.v, 2));
+  }
+
+  // Distance from a point to a line segment
+  getSegmentDistance(point, from, to) {
+    const du = to.u - from.u;
+    const dv = to.v - from.v;
+    const lengthSquared = du * du + dv * dv;
+    const t =
+      lengthSquared === 0
+        ? 0
+        : Math.max(
+            0,
+            Math.min(
+              1,
+              ((point.u - from.u) * du + (point.v - from.v) * dv) /
+                lengthSquared
+            )
+          );
+    return this.getDistance(point, { u: from.u + t * du, v: from.v + t * dv });
+  }
+
+  /**
+   * Smooth random value in [0, 1) at a point (value noise)
+   */
+  getNoise(u, v) {
+    const x = Math.floor(u);
+    const y = Math.floor(v);
+    const fx = u - x;
+    const fy = v - y;
+    const sx = fx * fx * (3 - 2 * fx);
+    const sy = fy * fy * (3 - 2 * fy);
+
+    const top = this.hash(x, y) + (this.hash(x + 1, y) - this.hash(x, y)) * sx;
+    const bottom =
+      this.hash(x, y + 1) +
+      (this.hash(x + 1, y + 1) - this.hash(x, y + 1)) * sx;
+    return top + (bottom - top) * sy;
+  }
+
+  // Random value for a noise lattice point, fixed by the seed
+  hash(x, y) {
+    let h =
+      Math.imul(x, 374761393) +
+      Math.imul(y, 668265263) +
+      Math.imul(this.seed, 982451653);
+    h = Math.imul(h ^ (h >>> 13), 1274126177);
+    h ^= h >>> 16;
+    return (h >>> 0) / 4294967296;
+  }
+
+  /**
+   * How much a point wants to be land (higher is more likely)
+   */
+  getLandScore(u, v) {
+    const point = this.toPlayerOnePart(u, v);
+
+    let score = -1;
+    this.blobs.forEach((blob) => {
+      score = Math.max(score, 1 - this.getDistance(point, blob) / blob.radius);
+    });
+
+    // Two layers of noise for rough coastlines
+    score +=
+      (this.getNoise(point.u * 4, point.v * 4) - 0.5) * 0.6 +
+      (this.getNoise(point.u * 10 + 50, point.v * 10 + 50) - 0.5) * 0.3;
+
+    this.bridges.forEach((bridge) => {
+      const distance = this.getSegmentDistance(point, bridge.from, bridge.to);
+      score = Math.max(score, 0.9 * (1 - distance / this.bridgeWidth));
+    });
+
+    this.lakes.forEach((lake) => {
+      const distance = this.getDistance(point, lake);
+      if (distance < lake.radius) score -= 2 * (1 - distance / lake.radius);
+    });
+
+    // Nothing past the edge of the land area
+    const edge = Math.sqrt(u * u + v * v);
+    if (edge > 0.85) score -= (edge - 0.85) * 10;
+
+    return score;
+  }
+
+  /**
+   * Generate the map
+   * @returns {Object} A map in the format read by MapLoader.parse
+   */
+  generate() {
+    this.createFeatures();
+
+    // Land is the best-scoring share of the hexes
+    const scores = new Float32Array(this.width * this.height);
+    for (let row = 0; row < this.height; row++) {
+      for (let col = 0; col < this.width; col++) {
+        const point = this.getHexPoint(row, col);
+        scores[row * this.width + col] = this.getLandScore(point.u, point.v);
+      }
+    }
+
+    const sorted = Array.from(scores).sort((a, b) => a - b);
+    const threshold =
+      sorted[Math.floor((1 - this.landRatio) * (sorted.length - 1))];
+    this.land = scores.map((score) => (score > threshold ? 1 : 0));
+
+    // Throne in the middle, then each player's start and gold nodes
+    this.used = new Set();
+    const throne = this.placeNearest(this.getPointHex(0, 0));
+
+    const startHex = this.getPointHex(this.start.u, this.start.v);
+    const resourceHexes = [];
+    for (let i = 0; i < this.resourcesPerPlayer; i++) {
+      const angle = this.playerAngle + Math.PI + this.random.range(-1.2, 1.2);
+      const distance = this.random.range(2.5, 4) * CONSTANTS.HEX_WIDTH;
+      resourceHexes.push(
+        this.getPointHex(
+          this.start.u + (Math.cos(angle) * distance) / this.radiusX,
+          this.start.v + (Math.sin(angle) * distance) / this.radiusY
+        )
+      );
+    }
+
+    const startPositions = [];
+    const resources = [];
+    for (let index = 0; index < this.players; index++) {
+      const start = this.placeNearest(this.getPlayerHex(startHex, index));
+      startPositions.push({ player: index + 1, ...start });
+
+      resourceHexes.forEach((hex) => {
+        const resource = this.placeNearest(this.getPlayerHex(hex, index));
+        resources.push({ type: "gold", ...resource });
+      });
+    }
+
+    // Make sure every start and resource can be walked to from the throne
+    [...startPositions, ...resources].forEach((target) =>
+      this.connect(target, throne)
+    );
+
+    this.createTerrain(throne, startPositions, resources);
+
+    return {
+      version: MAP_FORMAT_VERSION,
+      name: `Generated #${this.seed}`,
+      description: `${this.players} players, ${this.symmetry} symmetry, seed ${this.seed}`,
+      width: this.width,
+      height: this.height,
+      terrain: this.getTerrainRows(),
+      startPositions: startPositions,
+      resources: resources,
+      structures: [{ type: "throne", ...throne }],
+      generator: {
+        seed: this.seed,
+        landRatio: this.landRatio,
+        islands: this.islands,
+        symmetry: this.symmetry,
+        players: this.players,
+      },
+    };
+  }
+
+  // The hex matching one of player 1's hexes in another player's part
+  getPlayerHex(hex, index) {
+    const point = this.getHexPoint(hex.row, hex.col);
+    const moved = this.toPlayerPart(point.u, point.v, index);
+    return this.getPointHex(moved.u, moved.v);
+  }
+
+  /**
+   * Claim the closest free land hex to a hex
+   * @returns {Object} The claimed {row, col}
+   */
+  placeNearest(hex) {
+    let best = null;
+    let bestDistance = Number.MAX_VALUE;
+
+    for (let row = 0; row < this.height; row++) {
+      for (let col = 0; col < this.width; col++) {
+        const index = row * this.width + col;
+        if (!this.land[index] || this.used.has(index)) continue;
+
+        const distance = this.getHexDistance(hex, { row, col });
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = { row, col };
+        }
+      }
+    }
+
+    // No land left at all, so make some
+    if (!best) {
+      best = { row: hex.row, col: hex.col };
+      this.land[hex.row * this.width + hex.col] = 1;
+    }
+
+    this.used.add(best.row * this.width + best.col);
+    return best;
+  }
+
+  // Squared distance between two hexes in normalised units
+  getHexDistance(a, b) {
+    const pointA = this.getHexPoint(a.row, a.col);
+    const pointB = this.getHexPoint(b.row, b.col);
+    return Math.pow(pointA.u - pointB.u, 2) + Math.pow(pointA.v - pointB.v, 2);
+  }
+
+  // Get every land hex reachable from a hex
+  floodFill(from) {
+    const reached = new Uint8Array(this.width * this.height);
+    const queue = [from];
+    reached[from.row * this.width + from.col] = 1;
+
+    while (queue.length > 0) {
+      const hex = queue.pop();
+      this.grid.getNeighbors(hex.row, hex.col).forEach((next) => {
+        const index = next.row * this.width + next.col;
+        if (this.land[index] && !reached[index]) {
+          reached[index] = 1;
+          queue.push(next);
+        }
+      });
+    }
+
+    return reached;
+  }
+
+  // Raise a strip of land from a hex to the throne if it is cut off
+  connect(target, throne) {
+    const reached = this.floodFill(throne);
+    if (reached[target.row * this.width + target.col]) return;
+
+    const from = this.getHexPoint(target.row, target.col);
+    const to = this.getHexPoint(throne.row, throne.col);
+    const steps = Math.ceil(
+      (this.getDistance(from, to) * Math.max(this.radiusX, this.radiusY)) /
+        (CONSTANTS.HEX_WIDTH / 4)
+    );
+
+    for (let step = 0; step <= steps; step++) {
+      const t = step / steps;
+      const hex = this.getPointHex(
+        from.u + (to.u - from.u) * t,
+        from.v + (to.v - from.v) * t
+      );
+      this.land[hex.row * this.width + hex.col] = 1;
+    }
+  }
+
+  // Shortest walk over land between two hexes
+  findLandPath(from, to) {
+    const cameFrom = new Map();
+    const start = from.row * this.width + from.col;
+    const queue = [from];
+    cameFrom.set(start, null);
+
+    for (let i = 0; i < queue.length; i++) {
+      const hex = queue[i];
+      if (hex.row === to.row && hex.col === to.col) break;
+
+      this.grid.getNeighbors(hex.row, hex.col).forEach((next) => {
+        const index = next.row * this.width + next.col;
+        if (this.land[index] && !cameFrom.has(index)) {
+          cameFrom.set(index, hex);
+          queue.push(next);
+        }
+      });
+    }
+
+    const path = [];
+    let hex = cameFrom.has(to.row * this.width + to.col) ? to : null;
+    while (hex) {
+      path.unshift(hex);
+      hex = cameFrom.get(hex.row * this.width + hex.col);
+    }
+    return path;
+  }
+
+  // Whether any neighbour of a hex is land (or water)
+  hasNeighbor(row, col, land) {
+    return this.grid
+      .getNeighbors(row, col)
+      .some((hex) => this.land[hex.row * this.width + hex.col] === land);
+  }
+
+  /**
+   * Pick the terrain of every hex once the coastline is set
+   * Forests, hills and mountains follow noise read in player 1's part, so
+   * every player gets the same ground. Roads run from each start to the
+   * throne, and the ground around starts, gold and the throne is kept
+   * clear for building
+   */
+  createTerrain(throne, startPositions, resources) {
+    this.terrain = [];
+    for (let row = 0; row < this.height; row++) {
+      for (let col = 0; col < this.width; col++) {
+        const index = row * this.width + col;
+        const hexPoint = this.getHexPoint(row, col);
+        const point = this.toPlayerOnePart(hexPoint.u, hexPoint.v);
+        const height = this.getNoise(point.u * 5 + 100, point.v * 5 + 100);
+        const growth = this.getNoise(point.u * 7 + 200, point.v * 7 + 200);
+
+        if (!this.land[index]) {
+          this.terrain[index] =
+            growth > 0.55 && this.hasNeighbor(row, col, 1)
+              ? "shallows"
+              : "ocean";
+        } else if (height > 0.72) {
+          this.terrain[index] = "mountains";
+        } else if (height > 0.6) {
+          this.terrain[index] = "hills";
+        } else if (this.hasNeighbor(row, col, 0)) {
+          this.terrain[index] = "sand";
+        } else if (growth > 0.58) {
+          this.terrain[index] = "forest";
+        } else {
+          this.terrain[index] = "grass";
+        }
+      }
+    }
+
+    // Roads from each start, and a mountain-free way to each gold node so
+    // vehicles can get everywhere that matters
+    startPositions.forEach((start) => {
+      this.findLandPath(start, throne).forEach((hex) => {
+        this.terrain[hex.row * this.width + hex.col] = "road";
+      });
+    });
+    resources.forEach((resource) => {
+      this.findLandPath(resource, throne).forEach((hex) => {
+        const index = hex.row * this.width + hex.col;
+        if (this.terrain[index] === "mountains") this.terrain[index] = "hills";
+      });
+    });
+
+    [throne, ...startPositions, ...resources].forEach((hex) => {
+      [hex, ...this.grid.getNeighbors(hex.row, hex.col)].forEach((next) => {
+        const index = next.row * this.width + next.col;
+        if (this.land[index] && !TERRAIN_TYPES[this.terrain[index]].buildable) {
+          this.terrain[index] = "grass";
+        }
+      });
+    });
+  }
+
+  // Terrain rows using the map file symbols
+  getTerrainRows() {
+    const rows = [];
+    for (let row = 0; row < this.height; row++) {
+      let line = "";
+      for (let col = 0; col < this.width; col++) {
+        line += TERRAIN_TYPES[this.terrain[row * this.width + col]].symbol;
+      }
+      rows.push(line);
+    }
+    return rows;
+  }
+}
+
+// Export the MapGenerator class
+if (typeof module !== "undefined") {
+  module.exports = { MapGenerator, SeededRandom };
+}
@@ -0,0 +1,555 @@
+/**
+ * MapLoader - Builds the game map from a JSON map file
+ * Map files live in maps/ so new maps can ship without touching game.js:
+ * {
+ *   "version": 1,
+ *   "name": "Classic",
+ *   "description": "...",
+ *   "width": 20,
+ *   "height": 16,
+ *   "terrain": ["wwggw...", ...],  // One string per row, one symbol per hex
+ *   "startPositions": [{ "player": 1, "row": 4, "col": 5 }],
+ *   "resources": [{ "type": "gold", "row": 4, "col": 8 }],
+ *   "structures": [{ "type": "throne", "row": 8, "col": 10 }],
+ *   "aiScript": "ai/standard.json"  // Optional
+ * }
+ * Rows use the same layout as the rest of the game (see HexGrid: odd rows
+ * shifted right by half a hex) and the map is centred on (0, 0).
+ * Structures are either the throne or a neutral building from
+ * BUILDING_TYPES, which starts finished and owned by nobody.
+ * Start positions, resources and structures must be on buildable terrain.
+ * A map can ship a behavior tree script in ai/ for the computer opponent,
+ * used unless the match settings or the AI personality pick their own.
+ */
+const MAP_FORMAT_VERSION = 1;
+
+/**
+ * Terrain a hex can have, keyed by name
+ * - symbol: Character used in map files
+ * - moveCost: Cost to enter the hex for each movement class (grass is 1,
+ *   higher is slower, null means the class can't enter)
+ * - cover: Share of incoming damage blocked for units on the hex
+ * - buildable: Whether buildings can be placed on it
+ */
+const TERRAIN_TYPES = {
+  grass: {
+    symbol: "g",
+    color: CONSTANTS.COLORS.GRASS,
+    moveCost: { infantry: 1, vehicle: 1 },
+    cover: 0,
+    buildable: true,
+  },
+  road: {
+    symbol: "r",
+    color: CONSTANTS.COLORS.ROAD,
+    moveCost: { infantry: 0.6, vehicle: 0.5 },
+    cover: 0,
+    buildable: true,
+  },
+  sand: {
+    symbol: "s",
+    color: CONSTANTS.COLORS.SAND,
+    moveCost: { infantry: 1.25, vehicle: 1.5 },
+    cover: 0,
+    buildable: true,
+  },
+  forest: {
+    symbol: "f",
+    color: CONSTANTS.COLORS.FOREST,
+    moveCost: { infantry: 1.5, vehicle: 3 },
+    cover: 0.3,
+    buildable: false,
+  },
+  hills: {
+    symbol: "h",
+    color: CONSTANTS.COLORS.HILLS,
+    moveCost: { infantry: 2, vehicle: 2 },
+    cover: 0.2,
+    buildable: true,
+  },
+  mountains: {
+    symbol: "m",
+    color: CONSTANTS.COLORS.MOUNTAINS,
+    moveCost: { infantry: 3, vehicle: null },
+    cover: 0.4,
+    buildable: false,
+  },
+  shallows: {
+    symbol: "~",
+    color: CONSTANTS.COLORS.SHALLOWS,
+    moveCost: { infantry: 2.5, vehicle: 4 },
+    cover: 0,
+    buildable: false,
+  },
+  ocean: {
+    symbol: "w",
+    color: CONSTANTS.COLORS.OCEAN,
+    moveCost: { infantry: null, vehicle: null },
+    cover: 0,
+    buildable: false,
+  },
+};
+
+// Check if a building (or a newly placed unit) can go on a hex
+function isBuildableHex(hex) {
+  return (
+    !!hex &&
+    !!TERRAIN_TYPES[hex.terrain] &&
+    TERRAIN_TYPES[hex.terrain].buildable
+  );
+}
+
+/**
+ * Get the cost for a unit to enter a hex
+ * @param {Object} hex - Hex tile
+ * @param {String} movementClass - "infantry" or "vehicle"
+ * @returns {Number} The cost (grass is 1), or null if the hex is impassable
+ */
+function getMoveCost(hex, movementClass) {
+  const terrain = hex && TERRAIN_TYPES[hex.terrain];
+  if (!terrain) return null;
+
+  const cost = terrain.moveCost[movementClass];
+  return cost === undefined ? null : cost;
+}
+
+// Resource node types that can be placed on a map
+const RESOURCE_TYPES = ["gold"];
+
+// Texture key of the terrain hexes (see MapLoader.createTerrainTexture)
+const TERRAIN_TEXTURE = "terrainHexes";
+
+// Maps bundled with the game (the key is used in the "map" setting)
+const MAP_LIBRARY = {
+  classic: { name: "Classic", file: "maps/classic.json" },
+  twinIsles: { name: "Twin Isles", file: "maps/twin_isles.json" },
+  craterLake: { name: "Crater Lake", file: "maps/crater_lake.json" },
+};
+
+/**
+ * Get the file to load for a map setting
+ * @param {String} key - Key in MAP_LIBRARY, or a path to a .json file
+ * @returns {String} The map file, or null if the map is unknown
+ */
+function getMapPath(key) {
+  if (MAP_LIBRARY[key]) return MAP_LIBRARY[key].file;
+  if (typeof key === "string" && key.endsWith(".json")) return key;
+  return null;
+}
+
+// Map setting prefix for maps saved from the map editor ("saved:My Map")
+const SAVED_MAP_PREFIX = "saved:";
+
+/**
+ * Get the name of a saved map from a map setting
+ * @param {String} key - Map setting
+ * @returns {String} The saved map's name, or null for any other map
+ */
+function getSavedMapName(key) {
+  if (typeof key !== "string" || !key.startsWith(SAVED_MAP_PREFIX)) {
+    return null;
+  }
+  return key.slice(SAVED_MAP_PREFIX.length);
+}
+
+// Get the maps saved from the map editor, keyed by name
+function getSavedMaps() {
+  try {
+    return JSON.parse(
+      localStorage.getItem(CONSTANTS.MAP.EDITOR.STORAGE_KEY) || "{}"
+    );
+  } catch (err) {
+    console.error("Could not read saved maps:", err);
+    return {};
+  }
+}
+
+// Save a map under its name, replacing any saved map with the same name
+function saveMap(map) {
+  const maps = getSavedMaps();
+  maps[map.name] = map;
+  localStorage.setItem(CONSTANTS.MAP.EDITOR.STORAGE_KEY, JSON.stringify(maps));
+}
+
+function deleteSavedMap(name) {
+  const maps = getSavedMaps();
+  delete maps[name];
+  localStorage.setItem(CONSTANTS.MAP.EDITOR.STORAGE_KEY, JSON.stringify(maps));
+}
+
+class MapLoader {
+  /**
+   * Constructor for the MapLoader class
+   * @param {Phaser.Scene} scene - The game scene
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.map = null;
+    this.terrainLayer = null;
+    this.resourceGraphics = null;
+  }
+
+  /**
+   * Check a map file and fill in optional fields
+   * @param {Object} data - Contents of the map file
+   * @returns {Object} The map, ready to load
+   * @throws {Error} Describing the first problem found
+   */
+  static parse(data) {
+    if (!data || typeof data !== "object") {
+      throw new Error("Map data is missing");
+    }
+    if (data.version !== MAP_FORMAT_VERSION) {
+      throw new Error(
+        `Unsupported map version ${data.version} (expected ${MAP_FORMAT_VERSION})`
+      );
+    }
+    if (typeof data.name !== "string" || data.name.length === 0) {
+      throw new Error("Map has no name");
+    }
+    if (!(data.width > 0 && data.height > 0)) {
+      throw new Error(`Map "${data.name}" has invalid dimensions`);
+    }
+    if (
+      !Number.isInteger(data.width) ||
+      !Number.isInteger(data.height) ||
+      !Array.isArray(data.terrain) ||
+      data.terrain.length !== data.height
+    ) {
+      throw new Error(
+        `Map "${data.name}" needs ${data.height} terrain rows of ${data.width} hexes`
+      );
+    }
+
+    if (
+      data.aiScript !== undefined &&
+      (typeof data.aiScript !== "string" ||
+        !/^ai\/[\w-]+\.json$/.test(data.aiScript))
+    ) {
+      throw new Error(
+        `Map "${data.name}" AI script should be a file in ai/, like "ai/standard.json"`
+      );
+    }
+
+    const symbols = MapLoader.getTerrainSymbols();
+    data.terrain.forEach((row, index) => {
+      if (typeof row !== "string" || row.length !== data.width) {
+        throw new Error(
+          `Map "${data.name}" terrain row ${index} should have ${data.width} hexes`
+        );
+      }
+
+      const unknown = [...row].find((symbol) => !symbols[symbol]);
+      if (unknown !== undefined) {
+        throw new Error(
+          `Map "${data.name}" terrain row ${index} has unknown terrain "${unknown}"`
+        );
+      }
+    });
+
+    const map = {
+      ...data,
+      description: data.description || "",
+      startPositions: data.startPositions || [],
+      resources: data.resources || [],
+      structures: data.structures || [],
+    };
+
+    // Everything placed on the map must be on buildable land
+    const checkPosition = (entry, label) => {
+      const terrain = MapLoader.getTerrain(map, entry.row, entry.col);
+      if (!terrain) {
+        throw new Error(
+          `Map "${map.name}" ${label} at (${entry.row}, ${entry.col}) is off the map`
+        );
+      }
+      if (!TERRAIN_TYPES[terrain].buildable) {
+        throw new Error(
+          `Map "${map.name}" ${label} at (${entry.row}, ${entry.col}) is on ${terrain}`
+        );
+      }
+    };
+
+    if (map.startPositions.length < 2) {
+      throw new Error(`Map "${map.name}" needs at least 2 start positions`);
+    }
+    const startPlayers = new Set();
+    map.startPositions.forEach((start) => {
+      if (startPlayers.has(start.player)) {
+        throw new Error(
+          `Map "${map.name}" has two start positions for player ${start.player}`
+        );
+      }
+      startPlayers.add(start.player);
+      checkPosition(start, `start position for player ${start.player}`);
+    });
+
+    map.resources.forEach((resource) => {
+      if (!RESOURCE_TYPES.includes(resource.type)) {
+        throw new Error(
+          `Map "${map.name}" has unknown resource type "${resource.type}"`
+        );
+      }
+      checkPosition(resource, `${resource.type} resource`);
+    });
+
+    map.structures.forEach((structure) => {
+      if (structure.type !== "throne" && !BUILDING_TYPES[structure.type]) {
+        throw new Error(
+          `Map "${map.name}" has unknown structure type "${structure.type}"`
+        );
+      }
+      checkPosition(structure, structure.type);
+    });
+
+    return map;
+  }
+
+  // Look up terrain names by their map file symbol
+  static getTerrainSymbols() {
+    const symbols = {};
+    Object.keys(TERRAIN_TYPES).forEach((name) => {
+      symbols[TERRAIN_TYPES[name].symbol] = name;
+    });
+    return symbols;
+  }
+
+  /**
+   * Get the terrain of a hex on a map
+   * @returns {String} Key in TERRAIN_TYPES, or null if off the map
+   */
+  static getTerrain(map, row, col) {
+    if (row < 0 || row >= map.height || col < 0 || col >= map.width) {
+      return null;
+    }
+    return MapLoader.getTerrainSymbols()[map.terrain[row][col]] || null;
+  }
+
+  // Draw a single hexagon
+  static drawHexagon(graphics, x, y, size, fillColor) {
+    graphics.fillStyle(fillColor, 1);
+
+    graphics.beginPath();
+    for (let i = 0; i < 6; i++) {
+      const angle = (i * Math.PI) / 3 - Math.PI / 6;
+      const pointX = x + size * Math.cos(angle);
+      const pointY = y + size * Math.sin(angle);
+
+      if (i === 0) {
+        graphics.moveTo(pointX, pointY);
+      } else {
+        graphics.lineTo(pointX, pointY);
+      }
+    }
+    graphics.closePath();
+    graphics.fillPath();
+
+    // Add a subtle stroke to make hexagons more distinct
+    graphics.lineStyle(1, 0x000000, 0.3);
+    graphics.strokePath();
+  }
+
+  /**
+   * Add small markings so terrain is recognisable beyond its colour
+   * @param {Phaser.GameObjects.Graphics} graphics - The hex's graphics
+   * @param {String} terrain - Key in TERRAIN_TYPES
+   */
+  static drawTerrainDetail(graphics, x, y, terrain) {
+    if (terrain === "forest") {
+      // A few tree tops
+      graphics.fillStyle(0x14501f, 1);
+      graphics.fillCircle(x - 12, y - 6, 9);
+      graphics.fillCircle(x + 10, y - 8, 8);
+      graphics.fillCircle(x - 1, y + 10, 9);
+    } else if (terrain === "hills") {
+      // Two rounded humps
+      graphics.lineStyle(3, 0x6b7836, 1);
+      graphics.beginPath();
+      graphics.arc(x - 9, y + 6, 10, Math.PI, 0);
+      graphics.strokePath();
+      graphics.beginPath();
+      graphics.arc(x + 10, y + 10, 8, Math.PI, 0);
+      graphics.strokePath();
+    } else if (terrain === "mountains") {
+      // A peak with a snow cap
+      graphics.fillStyle(0x5c554c, 1);
+      graphics.fillTriangle(x - 20, y + 14, x, y - 20, x + 20, y + 14);
+      graphics.fillStyle(0xf2f2f2, 1);
+      graphics.fillTriangle(x - 6, y - 10, x, y - 20, x + 6, y - 10);
+    } else if (terrain === "shallows") {
+      // Ripples
+      graphics.lineStyle(2, 0xa6ccff, 0.8);
+      graphics.lineBetween(x - 14, y - 6, x - 2, y - 6);
+      graphics.lineBetween(x + 2, y + 6, x + 14, y + 6);
+    }
+  }
+
+  /**
+   * Make the texture HexLayer draws terrain with, one frame per terrain type
+   */
+  static createTerrainTexture(scene) {
+    const frames = {};
+    Object.keys(TERRAIN_TYPES).forEach((terrain) => {
+      frames[terrain] = (graphics, x, y) => {
+        MapLoader.drawHexagon(
+          graphics,
+          x,
+          y,
+          CONSTANTS.HEX_SIZE,
+          TERRAIN_TYPES[terrain].color
+        );
+        MapLoader.drawTerrainDetail(graphics, x, y, terrain);
+      };
+    });
+    HexLayer.createTexture(scene, TERRAIN_TEXTURE, frames);
+  }
+
+  /**
+   * Build the scene's hex tiles and resource nodes from a parsed map
+   * Structures need the players, so they are added later by createStructures
+   * @param {Object} map - A map returned by MapLoader.parse
+   */
+  load(map) {
+    this.map = map;
+    this.scene.gameMap = map;
+
+    this.createHexTiles();
+    this.createResourceNodes();
+
+    console.log(`Loaded map "${map.name}" (${map.width}x${map.height})`);
+  }
+
+  // Draw every hex and store it in scene.hexTiles (row by row), indexed
+  // by scene.hexGrid, with an empty scene.occupancy to match
+  createHexTiles() {
+    const map = this.map;
+
+    if (this.terrainLayer) this.terrainLayer.destroy();
+    this.scene.hexTiles = [];
+    this.grid = new HexGrid(map.width, map.height, this.scene.hexTiles);
+    this.scene.hexGrid = this.grid;
+    this.scene.occupancy = new HexOccupancy(this.grid);
+
+    MapLoader.createTerrainTexture(this.scene);
+    this.terrainLayer = new HexLayer(this.scene, this.grid, TERRAIN_TEXTURE);
+
+    for (let row = 0; row < map.height; row++) {
+      for (let col = 0; col < map.width; col++) {
+        const position = this.grid.getPosition(row, col);
+        const terrain = MapLoader.getTerrain(map, row, col);
+
+        this.terrainLayer.setHex(this.grid.getIndex(row, col), terrain);
+        this.scene.hexTiles.push({
+          x: position.x,
+          y: position.y,
+          color: TERRAIN_TYPES[terrain].color,
+          terrain: terrain,
+          gridPos: { row, col },
+        });
+      }
+    }
+  }
+
+  // Get the hex tile at a grid position
+  getHex(row, col) {
+    return this.grid ? this.grid.getHex(row, col) : null;
+  }
+
+  // Mark the map's resource nodes, which boost gold mines built on them
+  createResourceNodes() {
+    if (this.resourceGraphics) this.resourceGraphics.destroy();
+
+    this.resourceGraphics = this.scene.add.graphics();
+    this.resourceGraphics.setDepth(1); // Above the map, below buildings
+
+    this.scene.resourceNodes = this.map.resources.map((resource) => {
+      const hex = this.getHex(resource.row, resource.col);
+
+      // A cluster of nuggets on the hex
+      this.resourceGraphics.fillStyle(CONSTANTS.MAP.RESOURCE_COLOR, 1);
+      this.resourceGraphics.fillCircle(hex.x - 8, hex.y + 4, 6);
+      this.resourceGraphics.fillCircle(hex.x + 7, hex.y + 6, 5);
+      this.resourceGraphics.fillCircle(hex.x, hex.y - 7, 5);
+
+      return { type: resource.type, x: hex.x, y: hex.y, hex: hex };
+    });
+  }
+
+  /**
+   * Check if a point is close enough to a resource node to use it
+   * @returns {Object} The resource node, or null
+   */
+  findResourceNode(x, y) {
+    return (
+      (this.scene.resourceNodes || []).find(
+        (node) =>
+          Math.sqrt(Math.pow(node.x - x, 2) + Math.pow(node.y - y, 2)) <=
+          CONSTANTS.MAP.RESOURCE_RADIUS
+      ) || null
+    );
+  }
+
+  // Add the map's neutral buildings (call once the players exist)
+  createStructures() {
+    this.map.structures.forEach((structure) => {
+      if (structure.type === "throne") return; // Placed by the VictoryManager
+
+      const hex = this.getHex(structure.row, structure.col);
+      const building = new Building(
+        this.scene,
+        hex.x,
+        hex.y,
+        structure.type,
+        null
+      );
+      building.completeConstruction();
+      this.scene.buildings.push(building);
+    });
+  }
+
+  /**
+   * Get the hexes of the map's structures of one type
+   * @param {String} type - e.g. "throne"
+   */
+  getStructureHexes(type) {
+    if (!this.map) return [];
+
+    return this.map.structures
+      .filter((structure) => structure.type === type)
+      .map((structure) => this.getHex(structure.row, structure.col));
+  }
+
+  /**
+   * Get the hex a player starts on
+   * @param {Number} playerId - The player's id
+   * @returns {Object} The hex tile, or null if the map has no start for them
+   */
+  getStartHex(playerId) {
+    if (!this.map) return null;
+
+    const start = this.map.startPositions.find(
+      (position) => position.player === playerId
+    );
+    return start ? this.getHex(start.row, start.col) : null;
+  }
+}
+
+// Export the MapLoader class
+if (typeof module !== "undefined") {
+  module.exports = {
+    MapLoader,
+    MAP_FORMAT_VERSION,
+    TERRAIN_TYPES,
+    isBuildableHex,
+    getMoveCost,
+    RESOURCE_TYPES,
+    TERRAIN_TEXTURE,
+    MAP_LIBRARY,
+    getMapPath,
+    SAVED_MAP_PREFIX,
+    getSavedMapName,
+    getSavedMaps,
+    saveMap,
+    deleteSavedMap,
+  };
+}
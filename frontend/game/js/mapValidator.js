@@ -0,0 +1,210 @@
+/**
+ * MapValidator - Checks that a map can be played, and played fairly
+ * Flood fills out from each start position over the terrain units can
+ * cross (see TERRAIN_TYPES) and reports:
+ * - Errors, which make a map unplayable so it is rejected: missing or
+ *   unreachable start positions, and a throne some player can't reach
+ * - Warnings, which are allowed but worth fixing: gold nodes no player can
+ *   reach, starts that vehicles can't drive between, and players who are
+ *   much further than the others from the throne or their nearest gold
+ * Maps should pass MapLoader.parse before they are validated.
+ */
+class MapValidator {
+  /**
+   * Constructor for the MapValidator class
+   * @param {Object} map - A map returned by MapLoader.parse
+   */
+  constructor(map) {
+    this.map = map;
+    this.width = map.width;
+    this.height = map.height;
+    this.grid = new HexGrid(map.width, map.height);
+
+    // Terrain of every hex, row by row
+    const symbols = MapLoader.getTerrainSymbols();
+    this.terrain = [];
+    map.terrain.forEach((row) => {
+      [...row].forEach((symbol) => this.terrain.push(symbols[symbol]));
+    });
+  }
+
+  /**
+   * Validate a map
+   * @returns {Object} {errors, warnings, problemHexes, distances}
+   */
+  static validate(map) {
+    return new MapValidator(map).validate();
+  }
+
+  /**
+   * Reject a map that can't be played, and log any warnings
+   * @returns {Object} The validation report
+   * @throws {Error} Listing every error found
+   */
+  static check(map) {
+    const report = MapValidator.validate(map);
+    if (report.errors.length > 0) {
+      throw new Error(
+        `Map "${map.name}" can't be played: ${report.errors.join("; ")}`
+      );
+    }
+
+    report.warnings.forEach((warning) =>
+      console.warn(`Map "${map.name}": ${warning}`)
+    );
+    return report;
+  }
+
+  validate() {
+    const errors = [];
+    const warnings = [];
+    const problemHexes = [];
+    const where = (hex) => `(${hex.row}, ${hex.col})`;
+
+    // Players are numbered from 1 with no gaps
+    const starts = [...this.map.startPositions].sort(
+      (a, b) => a.player - b.player
+    );
+    for (let player = 1; player <= starts.length; player++) {
+      if (!starts.some((start) => start.player === player)) {
+        errors.push(`there is no start position for player ${player}`);
+      }
+    }
+
+    // Every player must be able to walk to every other player
+    const reach = starts.map((start) => this.floodFill(start, "infantry"));
+    const first = starts[0];
+    starts.slice(1).forEach((start) => {
+      if (reach[0][this.getIndex(start)] === -1) {
+        errors.push(
+          `player ${start.player}'s start at ${where(
+            start
+          )} can't be reached from player ${first.player}'s start`
+        );
+        problemHexes.push(start);
+      }
+    });
+
+    // ...and to the throne
+    const thrones = this.map.structures.filter(
+      (structure) => structure.type === "throne"
+    );
+    thrones.forEach((throne) => {
+      const cutOff = starts.filter(
+        (start, index) => reach[index][this.getIndex(throne)] === -1
+      );
+      if (cutOff.length > 0) {
+        errors.push(
+          `the throne at ${where(throne)} can't be reached by player ${cutOff
+            .map((start) => start.player)
+            .join(" or ")}`
+        );
+        problemHexes.push(throne);
+      }
+    });
+
+    // Gold nobody can get to is wasted
+    this.map.resources.forEach((resource) => {
+      if (
+        reach.every((distances) => distances[this.getIndex(resource)] === -1)
+      ) {
+        warnings.push(
+          `the ${resource.type} at ${where(
+            resource
+          )} can't be reached from any start position`
+        );
+        problemHexes.push(resource);
+      }
+    });
+
+    // Tanks can't cross everything infantry can
+    const vehicleReach = this.floodFill(first, "vehicle");
+    starts.slice(1).forEach((start) => {
+      if (
+        reach[0][this.getIndex(start)] !== -1 &&
+        vehicleReach[this.getIndex(start)] === -1
+      ) {
+        warnings.push(
+          `vehicles can't drive from player ${first.player}'s start to player ${start.player}'s`
+        );
+      }
+    });
+
+    // How far each player has to go, in hexes
+    const distances = starts.map((start, index) => {
+      const reachable = (hex) => reach[index][this.getIndex(hex)];
+      const goldDistances = this.map.resources
+        .map(reachable)
+        .filter((distance) => distance !== -1);
+
+      return {
+        player: start.player,
+        throne: thrones.length > 0 ? reachable(thrones[0]) : -1,
+        gold: goldDistances.length > 0 ? Math.min(...goldDistances) : -1,
+      };
+    });
+    this.checkFairness(distances, "throne", "the throne", warnings);
+    this.checkFairness(distances, "gold", "their nearest gold", warnings);
+
+    return { errors, warnings, problemHexes, distances };
+  }
+
+  // Warn if one player is much further from something than another
+  checkFairness(distances, key, label, warnings) {
+    const reached = distances.filter((entry) => entry[key] !== -1);
+    if (reached.length < 2) return;
+
+    const nearest = reached.reduce((a, b) => (b[key] < a[key] ? b : a));
+    const furthest = reached.reduce((a, b) => (b[key] > a[key] ? b : a));
+    const difference = furthest[key] - nearest[key];
+
+    // A hex either way is just the hex grid not mirroring exactly
+    if (
+      difference > 1 &&
+      difference / furthest[key] > CONSTANTS.MAP.FAIRNESS_TOLERANCE
+    ) {
+      warnings.push(
+        `player ${furthest.player} is ${furthest[key]} hexes from ${label} but player ${nearest.player} is only ${nearest[key]}`
+      );
+    }
+  }
+
+  getIndex(hex) {
+    return this.grid.getIndex(hex.row, hex.col);
+  }
+
+  /**
+   * Find how many steps it takes to reach every hex from a hex
+   * @param {Object} from - {row, col} to start from
+   * @param {String} movementClass - "infantry" or "vehicle"
+   * @returns {Int32Array} Steps to each hex (by index), or -1 if unreachable
+   */
+  floodFill(from, movementClass) {
+    const distances = new Int32Array(this.width * this.height).fill(-1);
+    const queue = [from];
+    distances[this.getIndex(from)] = 0;
+
+    for (let i = 0; i < queue.length; i++) {
+      const hex = queue[i];
+      const distance = distances[this.getIndex(hex)];
+
+      this.grid.getNeighbors(hex.row, hex.col).forEach((next) => {
+        const index = this.getIndex(next);
+        if (
+          distances[index] === -1 &&
+          getMoveCost({ terrain: this.terrain[index] }, movementClass) !== null
+        ) {
+          distances[index] = distance + 1;
+          queue.push(next);
+        }
+      });
+    }
+
+    return distances;
+  }
+}
+
+// Export the MapValidator class
+if (typeof module !== "undefined") {
+  module.exports = { MapValidator };
+}
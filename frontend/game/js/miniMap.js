@@ -0,0 +1,329 @@
+/**
+ * MiniMap - Overview of the whole map in the corner of the screen
+ * Shows:
+ * - Land and ocean
+ * - The local player's fog of war
+ * - Unit and building dots in their owner's colour
+ * - The area the main camera is looking at
+ * Left-click or drag to move the camera, right-click to send the
+ * selected units there.
+ */
+class MiniMap {
+  /**
+   * Constructor for the MiniMap class
+   * @param {Phaser.Scene} scene - The game scene
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.nextUpdateTime = 0;
+    this.fogVersion = -1;
+    this.isDragging = false;
+
+    // World area covered by the map (same as the camera bounds)
+    const bounds = scene.hexGrid.getBounds();
+    this.mapWidth = scene.gameMap.width;
+    this.mapHeight = scene.gameMap.height;
+    this.worldWidth = bounds.width;
+    this.worldHeight = bounds.height;
+    this.scale = CONSTANTS.MINIMAP.WIDTH / this.worldWidth;
+    this.width = CONSTANTS.MINIMAP.WIDTH;
+    this.height = Math.round(this.worldHeight * this.scale);
+
+    // Layers, drawn relative to the minimap's top-left corner
+    this.background = scene.add.graphics();
+    this.terrain = scene.add.graphics();
+    this.fog = scene.add.graphics();
+    this.dots = scene.add.graphics();
+    this.viewport = scene.add.graphics();
+    this.layers = [
+      this.background,
+      this.terrain,
+      this.fog,
+      this.dots,
+      this.viewport,
+    ];
+    this.layers.forEach((layer, index) => {
+      layer.setScrollFactor(0);
+      layer.setDepth(CONSTANTS.MINIMAP.DEPTH + index);
+    });
+
+    // Invisible area that takes the clicks
+    this.hitArea = scene.add.rectangle(0, 0, this.width, this.height);
+    this.hitArea.setOrigin(0, 0);
+    this.hitArea.setScrollFactor(0);
+    this.hitArea.setDepth(CONSTANTS.MINIMAP.DEPTH + this.layers.length);
+    this.hitArea.setInteractive();
+
+    this.drawBackground();
+    this.drawTerrain();
+    this.reposition();
+    this.setupEvents();
+  }
+
+  // Keep the minimap in the bottom-left corner, above the deselect hint
+  reposition() {
+    const x = CONSTANTS.MINIMAP.MARGIN;
+    const y =
+      this.scene.cameras.main.height -
+      this.height -
+      CONSTANTS.MINIMAP.BOTTOM_OFFSET;
+
+    this.x = x;
+    this.y = y;
+    this.layers.forEach((layer) => layer.setPosition(x, y));
+    this.hitArea.setPosition(x, y);
+  }
+
+  setupEvents() {
+    this.hitArea.on("pointerdown", (pointer, localX, localY, event) => {
+      const world = this.toWorld(localX, localY);
+
+      if (pointer.rightButtonDown()) {
+        if (this.scene.onMiniMapMoveOrder) {
+          this.scene.onMiniMapMoveOrder(world.x, world.y);
+        }
+      } else {
+        this.isDragging = true;
+        this.scene.cameras.main.centerOn(world.x, world.y);
+      }
+
+      // Don't let the click reach the map underneath
+      event.stopPropagation();
+    });
+
+    // Dragging keeps moving the camera, even outside the minimap
+    this.scene.input.on("pointermove", (pointer) => {
+      if (!this.isDragging) return;
+
+      if (!pointer.isDown) {
+        this.isDragging = false;
+        return;
+      }
+
+      const world = this.toWorld(pointer.x - this.x, pointer.y - this.y);
+      this.scene.cameras.main.centerOn(world.x, world.y);
+    });
+
+    this.scene.input.on("pointerup", () => {
+      this.isDragging = false;
+    });
+
+    // Stay in the corner when the window is resized
+    this.scene.scale.on("resize", () => this.reposition());
+  }
+
+  /**
+   * Convert a point on the minimap to world coordinates
+   * @param {Number} localX - Pixels from the minimap's left edge
+   * @param {Number} localY - Pixels from the minimap's top edge
+   */
+  toWorld(localX, localY) {
+    const clampedX = Math.max(0, Math.min(this.width, localX));
+    const clampedY = Math.max(0, Math.min(this.height, localY));
+
+    return {
+      x: clampedX / this.scale - this.worldWidth / 2,
+      y: clampedY / this.scale - this.worldHeight / 2,
+    };
+  }
+
+  // Convert a world point to a point on the minimap
+  toMiniMap(x, y) {
+    return {
+      x: (x + this.worldWidth / 2) * this.scale,
+      y: (y + this.worldHeight / 2) * this.scale,
+    };
+  }
+
+  drawBackground() {
+    this.background.clear();
+    this.background.fillStyle(CONSTANTS.COLORS.OCEAN, 1);
+    this.background.fillRect(0, 0, this.width, this.height);
+    this.background.lineStyle(2, CONSTANTS.MINIMAP.BORDER_COLOR, 1);
+    this.background.strokeRect(-1, -1, this.width + 2, this.height + 2);
+  }
+
+  /**
+   * Fill each row of hexes as runs of the same value, which keeps even
+   * a large map down to a few hundred rectangles
+   * @param {Phaser.GameObjects.Graphics} graphics - Layer to draw on
+   * @param {Function} getStyle - Returns {color, alpha} for a hex index,
+   *   or null to leave the hex empty
+   */
+  fillRuns(graphics, getStyle) {
+    const { mapWidth, mapHeight } = this;
+    const hexWidth = CONSTANTS.HEX_WIDTH * this.scale;
+    const rowHeight = CONSTANTS.HEX_HEIGHT * 0.75 * this.scale;
+
+    for (let row = 0; row < mapHeight; row++) {
+      const offset = row % 2 !== 0 ? hexWidth / 2 : 0;
+      let runStart = 0;
+      let runStyle = getStyle(row * mapWidth);
+
+      for (let col = 1; col <= mapWidth; col++) {
+        const style = col < mapWidth ? getStyle(row * mapWidth + col) : null;
+        const sameStyle =
+          style &&
+          runStyle &&
+          style.color === runStyle.color &&
+          style.alpha === runStyle.alpha;
+
+        if (sameStyle) continue;
+
+        if (runStyle) {
+          // Hexes are centred on their position, clipped to the minimap
+          const left = Math.max(0, (runStart - 0.5) * hexWidth + offset);
+          const right = Math.min(this.width, (col - 0.5) * hexWidth + offset);
+          const top = Math.max(0, (row - 0.5) * rowHeight);
+          const bottom = Math.min(this.height, (row + 0.5) * rowHeight);
+
+          graphics.fillStyle(runStyle.color, runStyle.alpha);
+          graphics.fillRect(left, top, right - left + 0.5, bottom - top + 0.5);
+        }
+
+        runStart = col;
+        runStyle = style;
+      }
+    }
+  }
+
+  /**
+   * Draw land and shallow water over the ocean background
+   * (call again if the map's tiles change)
+   */
+  drawTerrain() {
+    const hexes = this.scene.hexTiles || [];
+    const styles = {};
+    Object.keys(TERRAIN_TYPES).forEach((terrain) => {
+      styles[terrain] = { color: TERRAIN_TYPES[terrain].color, alpha: 1 };
+    });
+
+    this.terrain.clear();
+    this.fillRuns(this.terrain, (index) =>
+      hexes[index] && hexes[index].terrain !== "ocean"
+        ? styles[hexes[index].terrain]
+        : null
+    );
+  }
+
+  // Cover the parts of the map the local player can't see
+  drawFog() {
+    const fogOfWar = this.scene.fogOfWar;
+    this.fog.clear();
+    if (!fogOfWar) return;
+
+    const states = fogOfWar.hexStates.get(fogOfWar.viewer.id);
+    const unexplored = { color: CONSTANTS.FOG.UNEXPLORED_COLOR, alpha: 1 };
+    const explored = {
+      color: CONSTANTS.FOG.UNEXPLORED_COLOR,
+      alpha: CONSTANTS.FOG.EXPLORED_ALPHA,
+    };
+
+    this.fillRuns(this.fog, (index) => {
+      if (states[index] === FOG_STATE.UNEXPLORED) return unexplored;
+      if (states[index] === FOG_STATE.EXPLORED) return explored;
+      return null;
+    });
+  }
+
+  // Draw a dot for every unit and building the local player can see
+  drawDots() {
+    const unitSize = CONSTANTS.MINIMAP.UNIT_SIZE;
+    const buildingSize = CONSTANTS.MINIMAP.BUILDING_SIZE;
+
+    this.dots.clear();
+
+    // Enemy buildings remembered from earlier scouting
+    const fogOfWar = this.scene.fogOfWar;
+    if (fogOfWar) {
+      fogOfWar.memory.forEach((memory, building) => {
+        if (!memory.graphics.visible || !building.owner) return;
+
+        const point = this.toMiniMap(memory.x, memory.y);
+        this.dots.fillStyle(building.owner.color, 0.5);
+        this.dots.fillRect(
+          point.x - buildingSize / 2,
+          point.y - buildingSize / 2,
+          buildingSize,
+          buildingSize
+        );
+      });
+    }
+
+    (this.scene.buildings || []).forEach((building) => {
+      if (building.isDead || !building.isRevealed || !building.owner) return;
+
+      const point = this.toMiniMap(building.x, building.y);
+      this.dots.fillStyle(building.owner.color, building.isBlueprint ? 0.5 : 1);
+      this.dots.fillRect(
+        point.x - buildingSize / 2,
+        point.y - buildingSize / 2,
+        buildingSize,
+        buildingSize
+      );
+    });
+
+    (this.scene.players || []).forEach((player) => {
+      if (!player) return;
+
+      this.dots.fillStyle(player.color, 1);
+      player.getAllUnits().forEach((unit) => {
+        if (unit.isDead || !unit.sprite || !unit.isRevealed) return;
+
+        const point = this.toMiniMap(unit.sprite.x, unit.sprite.y);
+        this.dots.fillRect(
+          point.x - unitSize / 2,
+          point.y - unitSize / 2,
+          unitSize,
+          unitSize
+        );
+      });
+    });
+  }
+
+  // Outline the part of the world the main camera shows
+  drawViewport() {
+    const view = this.scene.cameras.main.worldView;
+    const topLeft = this.toMiniMap(view.x, view.y);
+
+    this.viewport.clear();
+    this.viewport.lineStyle(1, CONSTANTS.MINIMAP.VIEWPORT_COLOR, 1);
+    this.viewport.strokeRect(
+      topLeft.x,
+      topLeft.y,
+      view.width * this.scale,
+      view.height * this.scale
+    );
+  }
+
+  /**
+   * Refresh the minimap, called every frame
+   */
+  update() {
+    this.drawViewport();
+
+    const now = this.scene.time.now;
+    if (now < this.nextUpdateTime) return;
+    this.nextUpdateTime = now + CONSTANTS.MINIMAP.UPDATE_INTERVAL;
+
+    // The fog only needs redrawing when the local player's vision changed
+    const fogOfWar = this.scene.fogOfWar;
+    if (fogOfWar && fogOfWar.version !== this.fogVersion) {
+      this.fogVersion = fogOfWar.version;
+      this.drawFog();
+    }
+
+    this.drawDots();
+  }
+
+  // Clean up resources
+  destroy() {
+    this.layers.forEach((layer) => layer.destroy());
+    this.hitArea.destroy();
+  }
+}
+
+// Export the MiniMap class
+if (typeof module !== "undefined") {
+  module.exports = { MiniMap };
+}
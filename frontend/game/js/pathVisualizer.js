@@ -321,6 +321,14 @@ class PathVisualizer {
     }
   }
 
+  /**
+   * Show or hide the path (paths of other players' units stay hidden)
+   */
+  setVisible(visible) {
+    this.graphics.setVisible(visible);
+    this.progressGraphics.setVisible(visible);
+  }
+
   // Clear the path visualization
   clear() {
     this.graphics.clear();
@@ -1,147 +1,256 @@
+/**
+ * BinaryHeap - Priority queue that always gives back its smallest item
+ */
+class BinaryHeap {
+  /**
+   * Constructor for the BinaryHeap class
+   * @param {Function} compare - (a, b) returning < 0 when a comes first
+   */
+  constructor(compare) {
+    this.compare = compare;
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+
+    // Sift the new item up until its parent comes before it
+    let index = items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.compare(items[index], items[parent]) >= 0) break;
+      [items[index], items[parent]] = [items[parent], items[index]];
+      index = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length === 0) return top;
+
+    // Move the last item to the top and sift it down
+    items[0] = last;
+    let index = 0;
+    for (;;) {
+      const left = index * 2 + 1;
+      const right = left + 1;
+      let smallest = index;
+
+      if (
+        left < items.length &&
+        this.compare(items[left], items[smallest]) < 0
+      ) {
+        smallest = left;
+      }
+      if (
+        right < items.length &&
+        this.compare(items[right], items[smallest]) < 0
+      ) {
+        smallest = right;
+      }
+      if (smallest === index) break;
+
+      [items[index], items[smallest]] = [items[smallest], items[index]];
+      index = smallest;
+    }
+
+    return top;
+  }
+}
+
 class PathFinder {
   constructor(scene) {
     this.scene = scene;
+
+    // Per-hex search state, reused between searches (see prepareSearch)
+    this.searchId = 0;
+    this.searchIds = null;
+    this.gScores = null;
+    this.cameFrom = null;
+    this.closed = null;
   }
 
-  // Calculate heuristic (estimated distance between two hexes)
+  // Calculate heuristic (estimated cost between two hexes)
   heuristic(a, b) {
-    // Using hex grid distance calculation
-    const dx = b.gridPos.col - a.gridPos.col;
-    const dy = b.gridPos.row - a.gridPos.row;
-    return Math.sqrt(dx * dx + dy * dy);
+    // Scaled by the cheapest terrain so roads don't make it overestimate
+    return HexGrid.distance(a.gridPos, b.gridPos) * this.getCheapestMoveCost();
+  }
+
+  // Lowest cost any unit pays to enter a hex
+  getCheapestMoveCost() {
+    if (this.cheapestMoveCost === undefined) {
+      const costs = [];
+      Object.values(TERRAIN_TYPES).forEach((terrain) => {
+        Object.values(terrain.moveCost).forEach((cost) => {
+          if (cost !== null) costs.push(cost);
+        });
+      });
+      this.cheapestMoveCost = Math.min(1, ...costs);
+    }
+    return this.cheapestMoveCost;
   }
 
-  // Get neighboring hexes (only passable tiles)
+  // Get neighboring hexes (only passable tiles without a building on them)
   getNeighbors(
     hex,
-    passableCheck = (hex) => hex.color === CONSTANTS.COLORS.GRASS
+    passableCheck = (hex) => getMoveCost(hex, "infantry") !== null
   ) {
-    const neighbors = [];
-    const hexes = this.scene.hexTiles;
-    const { row, col } = hex.gridPos;
-
-    // Possible neighbor offsets depend on whether the current row is odd or even
-    let neighborOffsets;
-    if (row % 2 === 0) {
-      neighborOffsets = [
-        { row: -1, col: -1 },
-        { row: -1, col: 0 },
-        { row: 0, col: -1 },
-        { row: 0, col: 1 },
-        { row: 1, col: -1 },
-        { row: 1, col: 0 },
-      ];
-    } else {
-      neighborOffsets = [
-        { row: -1, col: 0 },
-        { row: -1, col: 1 },
-        { row: 0, col: -1 },
-        { row: 0, col: 1 },
-        { row: 1, col: 0 },
-        { row: 1, col: 1 },
-      ];
-    }
-
-    // Check each potential neighbor
-    for (const offset of neighborOffsets) {
-      const neighborRow = row + offset.row;
-      const neighborCol = col + offset.col;
-
-      // Find the hex at this position
-      const neighbor = hexes.find(
-        (h) => h.gridPos.row === neighborRow && h.gridPos.col === neighborCol
+    const occupancy = this.scene.occupancy;
+    return this.scene.hexGrid
+      .getNeighborTiles(hex)
+      .filter(
+        (next) =>
+          passableCheck(next) && !(occupancy && occupancy.isBlocked(next))
       );
+  }
 
-      // Only add if it passes the custom check (default: is grass)
-      if (neighbor && passableCheck(neighbor)) {
-        neighbors.push(neighbor);
-      }
+  // Start a new search, resizing the per-hex state if the map changed
+  // (a hex's state only counts if its search id is the current one, so
+  // nothing has to be cleared between searches)
+  prepareSearch(grid) {
+    const size = grid.width * grid.height;
+    if (!this.searchIds || this.searchIds.length !== size) {
+      this.searchIds = new Uint32Array(size);
+      this.gScores = new Float64Array(size);
+      this.cameFrom = new Int32Array(size);
+      this.closed = new Uint8Array(size);
+      this.searchId = 0;
     }
 
-    return neighbors;
+    this.searchId++;
   }
 
-  // Find the shortest path between two hexes using A* algorithm
-  findPath(startHex, endHex, passableCheck) {
+  /**
+   * Find the cheapest path between two hexes using A* algorithm
+   * Hexes with a building on them are never entered (see HexOccupancy)
+   * @param {Object} startHex - Hex to start from
+   * @param {Object} endHex - Hex to reach
+   * @param {Function} passableCheck - Returns whether a hex can be entered
+   * @param {Function} moveCost - Returns the cost of entering a hex
+   *   (defaults to 1 for every hex)
+   * @returns {Array} Hexes to walk through (excluding the start), or null
+   */
+  findPath(startHex, endHex, passableCheck, moveCost = () => 1) {
     if (!startHex || !endHex) return null;
 
-    // A* path finding algorithm
-    const openSet = [startHex];
-    const closedSet = new Set();
-    const cameFrom = new Map();
-
-    // G score is distance from start to current
-    const gScore = new Map();
-    gScore.set(startHex, 0);
-
-    // F score is estimated total cost (g + heuristic)
-    const fScore = new Map();
-    fScore.set(startHex, this.heuristic(startHex, endHex));
-
-    while (openSet.length > 0) {
-      // Find the node with the lowest fScore
-      let current = openSet[0];
-      let lowestFScore = fScore.get(current);
-      let lowestIndex = 0;
-
-      for (let i = 1; i < openSet.length; i++) {
-        const score = fScore.get(openSet[i]);
-        if (score < lowestFScore) {
-          lowestFScore = score;
-          current = openSet[i];
-          lowestIndex = i;
-        }
+    const grid = this.scene.hexGrid;
+    this.prepareSearch(grid);
+
+    const { searchId, searchIds, gScores, cameFrom, closed } = this;
+    const indexOf = (hex) => grid.getIndex(hex.gridPos.row, hex.gridPos.col);
+    const startIndex = indexOf(startHex);
+    const endIndex = indexOf(endHex);
+
+    // A hex's g score is the cost from the start to it
+    const visit = (index, gScore, from) => {
+      searchIds[index] = searchId;
+      gScores[index] = gScore;
+      cameFrom[index] = from;
+      closed[index] = 0;
+    };
+
+    // Open hexes by lowest f score (g + heuristic), preferring the one
+    // nearest the end on ties. A hex can be queued more than once as
+    // cheaper ways to it are found, so stale entries are skipped.
+    const openSet = new BinaryHeap((a, b) => a.f - b.f || b.g - a.g);
+    visit(startIndex, 0, -1);
+    openSet.push({
+      hex: startHex,
+      index: startIndex,
+      g: 0,
+      f: this.heuristic(startHex, endHex),
+    });
+
+    while (openSet.size > 0) {
+      const current = openSet.pop();
+      if (closed[current.index] || current.g > gScores[current.index]) {
+        continue;
       }
 
       // If reached the end, reconstruct the path
-      if (current === endHex) {
+      if (current.index === endIndex) {
         const path = [];
-        let curr = current;
-
-        while (cameFrom.has(curr)) {
-          path.unshift(curr);
-          curr = cameFrom.get(curr);
+        for (let index = endIndex; index !== startIndex; ) {
+          path.push(grid.hexes[index]);
+          index = cameFrom[index];
         }
-
-        return path;
+        return path.reverse();
       }
 
-      // Remove current from openSet and add to closedSet
-      openSet.splice(lowestIndex, 1);
-      closedSet.add(current);
+      closed[current.index] = 1;
 
       // Check all neighbors
-      const neighbors = this.getNeighbors(current, passableCheck);
+      const neighbors = this.getNeighbors(current.hex, passableCheck);
       for (const neighbor of neighbors) {
-        if (closedSet.has(neighbor)) continue;
-
-        // Calculate tentative gScore
-        const tentativeGScore = gScore.get(current) + 1;
+        const index = indexOf(neighbor);
+        const seen = searchIds[index] === searchId;
+        if (seen && closed[index]) continue;
 
-        // If neighbor is not in openSet, add it
-        if (!openSet.includes(neighbor)) {
-          openSet.push(neighbor);
-        } else if (tentativeGScore >= gScore.get(neighbor)) {
-          // This is not a better path
-          continue;
-        }
+        // Calculate tentative gScore (slow terrain costs more)
+        const gScore = current.g + moveCost(neighbor);
+        if (seen && gScore >= gScores[index]) continue;
 
         // This is the best path so far
-        cameFrom.set(neighbor, current);
-        gScore.set(neighbor, tentativeGScore);
-        fScore.set(
-          neighbor,
-          tentativeGScore + this.heuristic(neighbor, endHex)
-        );
+        visit(index, gScore, current.index);
+        openSet.push({
+          hex: neighbor,
+          index: index,
+          g: gScore,
+          f: gScore + this.heuristic(neighbor, endHex),
+        });
       }
     }
 
     // No path found
     return null;
   }
+
+  /**
+   * Time paths between random hexes of the current map
+   * @param {Number} count - Paths per movement class
+   * @returns {Array} {movementClass, paths, found, averageMs, maxMs} for
+   *   infantry and vehicles
+   */
+  benchmark(count = CONSTANTS.PATHFINDING.BENCHMARK_PATHS) {
+    const random = new SeededRandom(CONSTANTS.PATHFINDING.BENCHMARK_SEED);
+
+    return ["infantry", "vehicle"].map((movementClass) => {
+      const canEnter = (hex) => getMoveCost(hex, movementClass) !== null;
+      const cost = (hex) => getMoveCost(hex, movementClass);
+      const hexes = this.scene.hexTiles.filter(canEnter);
+      const pick = () => hexes[Math.floor(random.next() * hexes.length)];
+
+      const times = [];
+      let found = 0;
+      for (let i = 0; i < count && hexes.length > 0; i++) {
+        const start = pick();
+        const end = pick();
+
+        const startTime = performance.now();
+        if (this.findPath(start, end, canEnter, cost)) found++;
+        times.push(performance.now() - startTime);
+      }
+
+      const total = times.reduce((sum, time) => sum + time, 0);
+      return {
+        movementClass: movementClass,
+        paths: times.length,
+        found: found,
+        averageMs: times.length > 0 ? total / times.length : 0,
+        maxMs: Math.max(0, ...times),
+      };
+    });
+  }
 }
 
 // Export the PathFinder class
 if (typeof module !== "undefined") {
-  module.exports = { PathFinder };
+  module.exports = { PathFinder, BinaryHeap };
 }
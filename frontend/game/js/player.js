@@ -6,6 +6,7 @@ class Player {
     this.color = color;
     this.units = [];
     this.builders = []; // Separate array for builder units
+    this.isEliminated = false; // Set by the victory manager
 
     // Initialize player economy
     try {
@@ -98,18 +99,55 @@ class Player {
     return [...this.units, ...this.builders];
   }
 
+  // Get all buildings (including blueprints) owned by this player
+  getBuildings() {
+    return (this.scene.buildings || []).filter(
+      (building) => building.owner && building.owner.id === this.id
+    );
+  }
+
+  /**
+   * Check whether one of this player's detectors (scouts, completed
+   * turrets) is close enough to spot camouflaged units at a point
+   */
+  canDetect(x, y) {
+    const inRange = (detector) => {
+      if (detector.isDead || !detector.detectionRange) return false;
+      if (detector.isBlueprint) return false;
+
+      const position = detector.sprite || detector;
+      const dx = position.x - x;
+      const dy = position.y - y;
+      return (
+        dx * dx + dy * dy <= detector.detectionRange * detector.detectionRange
+      );
+    };
+
+    // Called for every hidden unit each frame, so check the lists in place
+    // instead of copying them
+    return (
+      this.units.some(inRange) ||
+      this.builders.some(inRange) ||
+      (this.scene.buildings || []).some(
+        (building) =>
+          building.owner && building.owner.id === this.id && inRange(building)
+      )
+    );
+  }
+
   update() {
     // Update regular units
+    // (iterate over copies since units can die during the update)
     if (this.units && this.units.length > 0) {
-      this.units.forEach((unit) => {
-        if (unit) unit.update();
+      [...this.units].forEach((unit) => {
+        if (unit && !unit.isDead) unit.update();
       });
     }
 
     // Update builders
     if (this.builders && this.builders.length > 0) {
-      this.builders.forEach((builder) => {
-        if (builder) builder.update();
+      [...this.builders].forEach((builder) => {
+        if (builder && !builder.isDead) builder.update();
       });
     }
   }
@@ -0,0 +1,357 @@
+/**
+ * ProjectileManager - Pooled projectiles and hit resolution
+ * Handles every shot fired in the game:
+ * - Bullets and rockets that fly to where the target was when fired
+ * - Instant tracers for snipers
+ * - Tank shells that arc to the impact hex and deal splash damage
+ * - Muzzle flashes and explosions
+ * Damage is only applied when a projectile lands, so units can dodge
+ * slow shots by moving out of the impact point.
+ */
+class ProjectileManager {
+  constructor(scene) {
+    this.scene = scene;
+
+    // Pools of graphics objects reused between shots
+    this.projectiles = [];
+    this.effects = [];
+  }
+
+  /**
+   * Fire a weapon's projectile at a target
+   * @param {Weapon} weapon - The weapon firing the shot
+   * @param {Object} target - The unit or building being fired at
+   */
+  fire(weapon, target) {
+    const type = weapon.profile.projectile || "BULLET";
+    const settings = CONSTANTS.PROJECTILES[type];
+    const start = weapon.getMuzzlePosition(target);
+    const end = weapon.getPosition(target);
+
+    this.spawnEffect("MUZZLE_FLASH", start.x, start.y);
+
+    // Tracers hit instantly, so resolve the damage right away
+    if (type === "TRACER") {
+      this.spawnTracer(start.x, start.y, end.x, end.y);
+      this.applyDamage(
+        target,
+        weapon.damage,
+        weapon.damageType,
+        weapon.wielder
+      );
+      return;
+    }
+
+    // Shells land on the centre of the target's hex
+    let impact = end;
+    if (type === "SHELL") {
+      const impactHex = this.findImpactHex(end.x, end.y);
+      if (impactHex) {
+        impact = { x: impactHex.x, y: impactHex.y };
+      }
+    }
+
+    const distance = Math.sqrt(
+      Math.pow(impact.x - start.x, 2) + Math.pow(impact.y - start.y, 2)
+    );
+
+    const projectile = this.acquire(this.projectiles);
+    Object.assign(projectile, {
+      type: type,
+      settings: settings,
+      startX: start.x,
+      startY: start.y,
+      targetX: impact.x,
+      targetY: impact.y,
+      elapsed: 0,
+      duration: Math.max(1, (distance / settings.speed) * 1000),
+      damage: weapon.damage,
+      damageType: weapon.damageType,
+      source: weapon.wielder,
+      owner: weapon.wielder.owner,
+      target: target,
+    });
+
+    projectile.graphics.x = start.x;
+    projectile.graphics.y = start.y;
+    projectile.graphics.rotation = Math.atan2(
+      impact.y - start.y,
+      impact.x - start.x
+    );
+    this.drawProjectile(projectile, 0);
+  }
+
+  /**
+   * Take an inactive object from a pool, or create a new one
+   */
+  acquire(pool) {
+    let item = pool.find((entry) => !entry.active);
+
+    if (!item) {
+      const graphics = this.scene.add.graphics();
+      graphics.setDepth(12); // Above sprites (10), below health bars (15)
+      item = { graphics: graphics };
+      pool.push(item);
+    }
+
+    item.active = true;
+    item.graphics.setVisible(true);
+    item.graphics.setAlpha(1);
+    item.graphics.clear();
+
+    return item;
+  }
+
+  /**
+   * Return an object to its pool
+   */
+  release(item) {
+    item.active = false;
+    item.target = null;
+    item.source = null;
+    item.graphics.clear();
+    item.graphics.setVisible(false);
+  }
+
+  /**
+   * Draw a projectile at the given flight progress (0 to 1)
+   */
+  drawProjectile(projectile, progress) {
+    const graphics = projectile.graphics;
+    const settings = projectile.settings;
+
+    graphics.clear();
+
+    if (projectile.type === "ROCKET") {
+      // Exhaust flame behind the rocket body
+      graphics.fillStyle(0xff9900, 0.9);
+      graphics.fillCircle(-settings.size * 3, 0, settings.size);
+      graphics.fillStyle(settings.color, 1);
+      graphics.fillRect(
+        -settings.size * 2,
+        -settings.size / 2,
+        settings.size * 4,
+        settings.size
+      );
+    } else if (projectile.type === "SHELL") {
+      // Shadow stays on the ground while the shell arcs above it
+      const height = Math.sin(Math.PI * progress) * settings.arcHeight;
+      const scale = 1 + height / settings.arcHeight / 2;
+
+      graphics.rotation = 0;
+      graphics.fillStyle(0x000000, 0.3);
+      graphics.fillEllipse(0, 0, settings.size * 2, settings.size);
+      graphics.fillStyle(settings.color, 1);
+      graphics.fillCircle(0, -height, settings.size * scale);
+    } else {
+      graphics.fillStyle(settings.color, 1);
+      graphics.fillCircle(0, 0, settings.size);
+    }
+  }
+
+  /**
+   * Draw an instant tracer line that fades out
+   */
+  spawnTracer(x1, y1, x2, y2) {
+    const settings = CONSTANTS.PROJECTILES.TRACER;
+    const effect = this.acquire(this.effects);
+
+    Object.assign(effect, {
+      type: "TRACER",
+      elapsed: 0,
+      duration: settings.duration,
+    });
+
+    effect.graphics.x = 0;
+    effect.graphics.y = 0;
+    effect.graphics.rotation = 0;
+    effect.graphics.lineStyle(settings.width, settings.color, 1);
+    effect.graphics.beginPath();
+    effect.graphics.moveTo(x1, y1);
+    effect.graphics.lineTo(x2, y2);
+    effect.graphics.strokePath();
+  }
+
+  /**
+   * Show a short-lived visual effect (muzzle flash or explosion)
+   * @param {String} type - Key in CONSTANTS.PROJECTILES
+   * @param {Number} x - X position
+   * @param {Number} y - Y position
+   * @param {Number} radius - Optional size override
+   */
+  spawnEffect(type, x, y, radius) {
+    const settings = CONSTANTS.PROJECTILES[type];
+    const effect = this.acquire(this.effects);
+
+    Object.assign(effect, {
+      type: type,
+      elapsed: 0,
+      duration: settings.duration,
+    });
+
+    const size = radius || settings.size;
+
+    effect.graphics.x = x;
+    effect.graphics.y = y;
+    effect.graphics.rotation = 0;
+    effect.graphics.fillStyle(settings.color, 0.9);
+    effect.graphics.fillCircle(0, 0, size);
+    effect.graphics.fillStyle(0xffffff, 0.8);
+    effect.graphics.fillCircle(0, 0, size * 0.4);
+  }
+
+  /**
+   * Find the hex a shell should land on
+   */
+  findImpactHex(x, y) {
+    return this.scene.hexGrid ? this.scene.hexGrid.getClosestHex(x, y) : null;
+  }
+
+  /**
+   * Resolve a projectile reaching its impact point
+   */
+  resolveImpact(projectile) {
+    const settings = projectile.settings;
+    const x = projectile.targetX;
+    const y = projectile.targetY;
+
+    if (projectile.type === "SHELL") {
+      // Splash damage falls off towards the edge of the blast
+      this.spawnEffect("EXPLOSION", x, y, settings.splashRadius / 2);
+
+      Weapon.collectEnemies(this.scene, projectile.owner, true).forEach(
+        (enemy) => {
+          const distance = this.distanceToEntity(enemy, x, y);
+          if (distance > settings.splashRadius) return;
+
+          const falloff = 1 - (distance / settings.splashRadius) * 0.5;
+          this.applyDamage(
+            enemy,
+            projectile.damage * falloff,
+            projectile.damageType,
+            projectile.source
+          );
+        }
+      );
+      return;
+    }
+
+    if (projectile.type === "ROCKET") {
+      this.spawnEffect("EXPLOSION", x, y, settings.hitRadius);
+    }
+
+    // Hit the intended target if it is still at the impact point,
+    // otherwise whichever enemy is standing there instead
+    let victim = null;
+    if (
+      projectile.target &&
+      !projectile.target.isDead &&
+      this.distanceToEntity(projectile.target, x, y) <= settings.hitRadius
+    ) {
+      victim = projectile.target;
+    } else {
+      let closestDistance = settings.hitRadius;
+      Weapon.collectEnemies(this.scene, projectile.owner, true).forEach(
+        (enemy) => {
+          const distance = this.distanceToEntity(enemy, x, y);
+          if (distance <= closestDistance) {
+            closestDistance = distance;
+            victim = enemy;
+          }
+        }
+      );
+    }
+
+    if (victim) {
+      this.applyDamage(
+        victim,
+        projectile.damage,
+        projectile.damageType,
+        projectile.source
+      );
+    }
+  }
+
+  /**
+   * Distance from a point to the edge of a unit or building
+   */
+  distanceToEntity(entity, x, y) {
+    const position = entity.sprite
+      ? { x: entity.sprite.x, y: entity.sprite.y }
+      : { x: entity.x, y: entity.y };
+    const radius = entity.bodyRadius || (entity.size ? entity.size / 2 : 0);
+
+    return Math.max(
+      0,
+      Math.sqrt(Math.pow(position.x - x, 2) + Math.pow(position.y - y, 2)) -
+        radius
+    );
+  }
+
+  /**
+   * Deal damage to a unit or building, scaled by its armor
+   * (the source may already be dead by the time a slow shot lands)
+   */
+  applyDamage(target, damage, damageType, source) {
+    if (!target || target.isDead) return 0;
+
+    return target.takeDamage(
+      Weapon.calculateDamage(damage, damageType, target),
+      source && !source.isDead ? source : null
+    );
+  }
+
+  /**
+   * Advance all projectiles and effects, called from the main update loop
+   * @param {Number} delta - Milliseconds since the last frame
+   */
+  update(delta = 16) {
+    this.projectiles.forEach((projectile) => {
+      if (!projectile.active) return;
+
+      projectile.elapsed += delta;
+      const progress = Math.min(1, projectile.elapsed / projectile.duration);
+
+      projectile.graphics.x =
+        projectile.startX + (projectile.targetX - projectile.startX) * progress;
+      projectile.graphics.y =
+        projectile.startY + (projectile.targetY - projectile.startY) * progress;
+
+      if (projectile.type === "SHELL") {
+        this.drawProjectile(projectile, progress);
+      }
+
+      if (progress >= 1) {
+        this.resolveImpact(projectile);
+        this.release(projectile);
+      }
+    });
+
+    this.effects.forEach((effect) => {
+      if (!effect.active) return;
+
+      effect.elapsed += delta;
+      const progress = effect.elapsed / effect.duration;
+
+      if (progress >= 1) {
+        this.release(effect);
+      } else {
+        effect.graphics.setAlpha(1 - progress);
+      }
+    });
+  }
+
+  // Clean up resources
+  destroy() {
+    [...this.projectiles, ...this.effects].forEach((item) => {
+      item.graphics.destroy();
+    });
+    this.projectiles = [];
+    this.effects = [];
+  }
+}
+
+// Export the ProjectileManager class
+if (typeof module !== "undefined") {
+  module.exports = { ProjectileManager };
+}
@@ -136,6 +136,24 @@ class Shop {
     this.hideUI();
   }
 
+  // Keep the panel in the top-right corner and the shop button and
+  // messages along the bottom of the screen
+  reposition() {
+    const camera = this.scene.cameras.main;
+
+    const shift = camera.width - this.panel.width - 20 - this.panel.x;
+    this.uiElements.forEach((element) => {
+      element.x += shift;
+    });
+
+    this.shopButton.setPosition(camera.width - 80, camera.height - 40);
+    this.shopButtonText.setPosition(camera.width - 80, camera.height - 40);
+
+    if (this.messageText) {
+      this.messageText.setPosition(camera.width / 2, camera.height - 100);
+    }
+  }
+
   setupEvents() {
     // Add shop open button
     this.shopButton = this.scene.add.rectangle(
@@ -175,13 +193,8 @@ class Shop {
       }
     });
 
-    // Make sure the shop button stays in position when window is resized
-    this.scene.scale.on("resize", () => {
-      this.shopButton.x = this.scene.cameras.main.width - 80;
-      this.shopButton.y = this.scene.cameras.main.height - 40;
-      this.shopButtonText.x = this.scene.cameras.main.width - 80;
-      this.shopButtonText.y = this.scene.cameras.main.height - 40;
-    });
+    // Make sure the shop stays in position when window is resized
+    this.scene.scale.on("resize", () => this.reposition());
 
     // Handle map click for building placement
     this.mapClickHandler = (pointer) => {
@@ -341,16 +354,11 @@ class Shop {
 
     if (!hex) return false;
 
-    // Can only place on grass tiles
-    if (hex.color !== CONSTANTS.COLORS.GRASS) return false;
+    // Can only place on buildable land (not forest, mountains or water)
+    if (!isBuildableHex(hex)) return false;
 
-    // Check if hex is already occupied
-    if (
-      this.scene.buildings &&
-      this.scene.buildings.some(
-        (b) => Math.abs(b.x - hex.x) < 10 && Math.abs(b.y - hex.y) < 10
-      )
-    ) {
+    // Check if hex is already occupied by a building, blueprint or unit
+    if (this.scene.occupancy && !this.scene.occupancy.isFree(hex)) {
       return false;
     }
 
@@ -358,22 +366,7 @@ class Shop {
   }
 
   findNearestHex(x, y) {
-    const hexes = this.scene.hexTiles || [];
-    let nearestHex = null;
-    let minDistance = Number.MAX_VALUE;
-
-    for (const hex of hexes) {
-      const distance = Math.sqrt(
-        Math.pow(hex.x - x, 2) + Math.pow(hex.y - y, 2)
-      );
-
-      if (distance < minDistance) {
-        minDistance = distance;
-        nearestHex = hex;
-      }
-    }
-
-    return nearestHex;
+    return this.scene.hexGrid ? this.scene.hexGrid.getClosestHex(x, y) : null;
   }
 
   tryPlaceBuilding(x, y) {
@@ -0,0 +1,275 @@
+/**
+ * TacticalController - Unit-level micro for computer-controlled players
+ * Handles fights the way a skilled player would:
+ * - Focus fire on the weakest enemy in reach
+ * - Pull badly damaged units back to friendly turrets
+ * - Kite with snipers to keep enemies at long range
+ * - Keep rocketeers behind the infantry line
+ * Orders are only given through the same methods a human's clicks use
+ * (handleMovementToPoint and attackTarget), and only enemies inside the
+ * player's vision are taken into account (see Weapon.collectEnemies).
+ */
+class TacticalController {
+  /**
+   * Constructor for the TacticalController class
+   * @param {Phaser.Scene} scene - The game scene
+   * @param {Player} player - The player whose units are controlled
+   * @param {Object} home - Fallback retreat point {x, y} when there are no turrets
+   */
+  constructor(scene, player, home = null) {
+    this.scene = scene;
+    this.player = player;
+    this.home = home;
+    this.nextUpdateTime = 0;
+
+    // Units currently falling back to a turret, and units carrying out
+    // a kiting or escort move
+    this.retreating = new Set();
+    this.repositioning = new Set();
+  }
+
+  /**
+   * Micro-manage every unit in a fight, called every frame
+   */
+  update() {
+    const now = this.scene.time.now;
+    if (now < this.nextUpdateTime) return;
+    this.nextUpdateTime = now + CONSTANTS.TACTICS.MICRO_INTERVAL;
+
+    const enemies = Weapon.collectEnemies(this.scene, this.player);
+    const units = this.player
+      .getUnits()
+      .filter((unit) => !unit.isDead && unit.weapon && unit.sprite);
+
+    // Forget moves that have finished
+    this.repositioning.forEach((unit) => {
+      if (unit.isDead || !unit.isMoving) this.repositioning.delete(unit);
+    });
+
+    // Only units with enemies close by are micro-managed,
+    // the rest keep following their strategic orders
+    const fighting = units.filter(
+      (unit) =>
+        this.findNearestEnemy(unit, enemies, CONSTANTS.TACTICS.ENGAGE_RADIUS)
+          .enemy
+    );
+
+    // Retreats end once the fight is over
+    this.retreating.forEach((unit) => {
+      if (unit.isDead || !fighting.includes(unit)) {
+        this.retreating.delete(unit);
+      }
+    });
+
+    if (fighting.length === 0) return;
+
+    const infantry = fighting.filter((unit) => unit.type === "infantry");
+    const focusTarget = this.findFocusTarget(fighting, enemies);
+
+    fighting.forEach((unit) => {
+      if (this.updateRetreat(unit)) return;
+      if (unit.type === "sniper" && this.updateKiting(unit, enemies)) return;
+      if (
+        unit.type === "rocketeer" &&
+        this.updateEscort(unit, infantry, enemies)
+      ) {
+        return;
+      }
+      this.updateFocusFire(unit, focusTarget);
+    });
+  }
+
+  // Position of a unit or building
+  getPosition(entity) {
+    return entity.sprite
+      ? { x: entity.sprite.x, y: entity.sprite.y }
+      : { x: entity.x, y: entity.y };
+  }
+
+  getDistance(a, b) {
+    const from = this.getPosition(a);
+    const to = this.getPosition(b);
+    return Math.sqrt(Math.pow(to.x - from.x, 2) + Math.pow(to.y - from.y, 2));
+  }
+
+  /**
+   * Find the closest enemy to a unit
+   * @returns {Object} {enemy, distance}, enemy is null if none within maxDistance
+   */
+  findNearestEnemy(unit, enemies, maxDistance = Number.MAX_VALUE) {
+    let nearest = null;
+    let nearestDistance = maxDistance;
+
+    enemies.forEach((enemy) => {
+      const distance = this.getDistance(unit, enemy);
+      if (distance <= nearestDistance) {
+        nearestDistance = distance;
+        nearest = enemy;
+      }
+    });
+
+    return { enemy: nearest, distance: nearestDistance };
+  }
+
+  /**
+   * Pick the weakest enemy the group can reach, so everyone shoots the
+   * same target and it goes down as fast as possible
+   */
+  findFocusTarget(units, enemies) {
+    let weakest = null;
+
+    enemies.forEach((enemy) => {
+      const inReach = units.some(
+        (unit) =>
+          unit.weapon.distanceTo(enemy) <=
+          unit.weapon.range + CONSTANTS.TACTICS.FOCUS_MARGIN
+      );
+      if (inReach && (!weakest || enemy.health < weakest.health)) {
+        weakest = enemy;
+      }
+    });
+
+    return weakest;
+  }
+
+  // Order a unit to join the focus fire
+  updateFocusFire(unit, target) {
+    if (!target || unit.attackOrder === target) return;
+
+    // Units that can't hit the target (e.g. too close) pick their own
+    const distance = unit.weapon.distanceTo(target);
+    if (
+      distance < unit.weapon.minRange ||
+      distance > unit.weapon.range + CONSTANTS.TACTICS.FOCUS_MARGIN
+    ) {
+      return;
+    }
+
+    unit.attackTarget(target);
+  }
+
+  // Find the closest completed friendly turret
+  findNearestTurret(unit) {
+    let nearest = null;
+    let nearestDistance = Number.MAX_VALUE;
+
+    this.player.getBuildings().forEach((building) => {
+      if (building.type !== "turret" || !building.isComplete) return;
+
+      const distance = this.getDistance(unit, building);
+      if (distance < nearestDistance) {
+        nearestDistance = distance;
+        nearest = building;
+      }
+    });
+
+    return nearest;
+  }
+
+  /**
+   * Pull a badly damaged unit back under the cover of a turret
+   * @returns {boolean} True if the unit is retreating
+   */
+  updateRetreat(unit) {
+    if (unit.getHealthRatio() > CONSTANTS.TACTICS.RETREAT_HEALTH) return false;
+
+    const shelter = this.findNearestTurret(unit) || this.home;
+    if (!shelter) return false;
+
+    // Already under cover: hold position and let the turret help
+    const coverRadius = shelter.weapon ? shelter.weapon.range / 2 : 60;
+    if (this.getDistance(unit, shelter) <= coverRadius) {
+      this.retreating.add(unit);
+      return true;
+    }
+
+    if (!this.retreating.has(unit) || !unit.isMoving) {
+      const position = this.getPosition(shelter);
+      if (unit.handleMovementToPoint(position.x, position.y)) {
+        this.retreating.add(unit);
+      } else {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Step a sniper away from enemies that get too close
+   * @returns {boolean} True if the sniper is backing off
+   */
+  updateKiting(unit, enemies) {
+    const { enemy, distance } = this.findNearestEnemy(unit, enemies);
+    if (!enemy) return false;
+
+    // Back off once an enemy is inside the comfortable shooting distance
+    if (distance > unit.weapon.range * CONSTANTS.TACTICS.KITE_DISTANCE) {
+      return false;
+    }
+
+    // Let the current step finish before taking another
+    if (this.repositioning.has(unit)) return true;
+
+    const from = this.getPosition(enemy);
+    const angle = Math.atan2(unit.sprite.y - from.y, unit.sprite.x - from.x);
+
+    return this.reposition(
+      unit,
+      unit.sprite.x + Math.cos(angle) * CONSTANTS.TACTICS.KITE_STEP,
+      unit.sprite.y + Math.sin(angle) * CONSTANTS.TACTICS.KITE_STEP
+    );
+  }
+
+  /**
+   * Keep a rocketeer behind the infantry line, away from the enemy
+   * @returns {boolean} True if the rocketeer is moving into position
+   */
+  updateEscort(unit, infantry, enemies) {
+    if (infantry.length === 0) return false;
+
+    // Centre of the infantry line
+    const line = infantry.reduce(
+      (sum, soldier) => ({
+        x: sum.x + soldier.sprite.x / infantry.length,
+        y: sum.y + soldier.sprite.y / infantry.length,
+      }),
+      { x: 0, y: 0 }
+    );
+
+    const { enemy } = this.findNearestEnemy(line, enemies);
+    if (!enemy) return false;
+
+    // Already further from the enemy than the infantry: stay and shoot
+    if (this.getDistance(unit, enemy) > this.getDistance(line, enemy)) {
+      return false;
+    }
+
+    if (this.repositioning.has(unit)) return true;
+
+    // Spot behind the line, on the side away from the enemy
+    const from = this.getPosition(enemy);
+    const angle = Math.atan2(line.y - from.y, line.x - from.x);
+
+    return this.reposition(
+      unit,
+      line.x + Math.cos(angle) * CONSTANTS.TACTICS.ESCORT_DISTANCE,
+      line.y + Math.sin(angle) * CONSTANTS.TACTICS.ESCORT_DISTANCE
+    );
+  }
+
+  // Move a unit to a better spot, like a player right-clicking on
+  // the nearest bit of land
+  reposition(unit, x, y) {
+    const hex = unit.findClosestHex(x, y);
+    if (!hex || !unit.handleMovementToPoint(hex.x, hex.y)) return false;
+
+    this.repositioning.add(unit);
+    return true;
+  }
+}
+
+// Export the TacticalController class
+if (typeof module !== "undefined") {
+  module.exports = { TacticalController };
+}
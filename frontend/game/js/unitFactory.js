@@ -36,7 +36,9 @@ class UnitFactory {
         x = position.x;
         y = position.y;
         // Find closest tile for reference
-        tile = this.findClosestTile(validTiles, x, y);
+        tile = this.findClosestTile(x, y, (candidate) =>
+          validTiles.includes(candidate)
+        );
       } else if (position.hasOwnProperty("tileIndex")) {
         // Specific tile index
         if (position.tileIndex >= 0 && position.tileIndex < validTiles.length) {
@@ -115,34 +117,38 @@ class UnitFactory {
 
   /**
    * Find the closest tile to the specified coordinates
-   * @param {Array} tiles - Array of tiles to search
    * @param {Number} x - X coordinate
    * @param {Number} y - Y coordinate
+   * @param {Function} filter - Only consider tiles this returns true for
    * @returns {Object} - The closest tile
    */
-  findClosestTile(tiles, x, y) {
-    let closestTile = null;
-    let closestDistance = Number.MAX_VALUE;
+  findClosestTile(x, y, filter = isBuildableHex) {
+    return this.scene.hexGrid.getClosestHex(x, y, filter);
+  }
 
-    for (const tile of tiles) {
-      const distance = Math.sqrt(
-        Math.pow(tile.x - x, 2) + Math.pow(tile.y - y, 2)
+  /**
+   * Find the land tiles around a point where new units can appear
+   * @param {Number} x - X coordinate
+   * @param {Number} y - Y coordinate
+   * @param {Number} radius - Search radius in world units
+   * @returns {Array} - Buildable tiles with room for a unit
+   */
+  getSpawnTiles(x, y, radius = 200) {
+    const grid = this.scene.hexGrid;
+    const occupancy = this.scene.occupancy;
+
+    return grid
+      .getIndicesInRadius(x, y, radius)
+      .map((index) => grid.hexes[index])
+      .filter(
+        (hex) => isBuildableHex(hex) && (!occupancy || occupancy.hasRoom(hex))
       );
-
-      if (distance < closestDistance) {
-        closestDistance = distance;
-        closestTile = tile;
-      }
-    }
-
-    return closestTile;
   }
 
   // Create a builder unit
   createBuilder(options = {}) {
     const validTiles =
-      options.validTiles ||
-      this.scene.hexTiles.filter((hex) => hex.color === CONSTANTS.COLORS.GRASS);
+      options.validTiles || this.scene.hexTiles.filter(isBuildableHex);
 
     if (validTiles.length === 0) {
       console.error("No valid tiles found to place builder!");
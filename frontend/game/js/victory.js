@@ -0,0 +1,393 @@
+/**
+ * VictoryManager - Tracks win and loss conditions and ends the match
+ * Supported conditions (CONSTANTS.VICTORY.DEFAULT_CONDITION, or the
+ * ?victory= URL parameter):
+ * - destroyBuildings: a player is out once they have no buildings and
+ *   no builders left to rebuild with
+ * - eliminateUnits: a player is out once all of their units are dead
+ * - holdThrone: the first player to hold the throne hex alone for
+ *   THRONE_HOLD_TIME seconds wins
+ * A player with nothing left at all is always eliminated.
+ */
+class VictoryManager {
+  constructor(scene, players, condition) {
+    this.scene = scene;
+    this.players = players;
+    this.condition = condition || VictoryManager.getConfiguredCondition();
+    this.isGameOver = false;
+    this.startTime = scene.time.now;
+    this.nextCheckTime = 0;
+
+    // Throne objective state
+    this.throne = null;
+    this.throneHolder = null;
+    this.throneHoldTime = 0;
+    this.lastUpdateTime = scene.time.now;
+
+    if (this.condition === "holdThrone") {
+      this.createThrone();
+    }
+
+    console.log(`Victory condition: ${this.condition}`);
+  }
+
+  /**
+   * Read the victory condition from the URL, falling back to the default
+   */
+  static getConfiguredCondition() {
+    const valid = ["destroyBuildings", "eliminateUnits", "holdThrone"];
+
+    try {
+      const params = new URLSearchParams(window.location.search);
+      const condition = params.get("victory");
+      if (valid.includes(condition)) return condition;
+    } catch (err) {
+      console.error("Error reading victory condition:", err);
+    }
+
+    return CONSTANTS.VICTORY.DEFAULT_CONDITION;
+  }
+
+  // Place the throne where the map puts it, or on the land hex closest
+  // to the centre of the map
+  createThrone() {
+    if (!this.scene.hexGrid) return;
+
+    const mapThrones = this.scene.mapLoader
+      ? this.scene.mapLoader.getStructureHexes("throne")
+      : [];
+
+    const throneHex =
+      mapThrones[0] || this.scene.hexGrid.getClosestHex(0, 0, isBuildableHex);
+    if (!throneHex) return;
+
+    this.throne = { x: throneHex.x, y: throneHex.y, hex: throneHex };
+
+    // Throne marker with its capture radius
+    this.throneGraphics = this.scene.add.graphics();
+    this.throneGraphics.x = throneHex.x;
+    this.throneGraphics.y = throneHex.y;
+    this.throneGraphics.setDepth(2); // Above the map and paths, below units
+
+    this.throneProgress = this.scene.add.graphics();
+    this.throneProgress.x = throneHex.x;
+    this.throneProgress.y = throneHex.y;
+    this.throneProgress.setDepth(15);
+
+    this.drawThrone();
+  }
+
+  drawThrone() {
+    const graphics = this.throneGraphics;
+    const color = this.throneHolder ? this.throneHolder.color : 0xffd700;
+
+    graphics.clear();
+
+    // Capture radius
+    graphics.fillStyle(color, 0.1);
+    graphics.fillCircle(0, 0, CONSTANTS.VICTORY.THRONE_RADIUS);
+    graphics.lineStyle(2, color, 0.6);
+    graphics.strokeCircle(0, 0, CONSTANTS.VICTORY.THRONE_RADIUS);
+
+    // Throne seat and crown
+    graphics.fillStyle(0x5a3a1a, 1);
+    graphics.fillRect(-10, -6, 20, 16);
+    graphics.fillStyle(0xffd700, 1);
+    graphics.beginPath();
+    graphics.moveTo(-10, -6);
+    graphics.lineTo(-10, -16);
+    graphics.lineTo(-5, -10);
+    graphics.lineTo(0, -18);
+    graphics.lineTo(5, -10);
+    graphics.lineTo(10, -16);
+    graphics.lineTo(10, -6);
+    graphics.closePath();
+    graphics.fillPath();
+
+    // Hold progress bar
+    this.throneProgress.clear();
+    if (this.throneHolder) {
+      const ratio = Math.min(
+        1,
+        this.throneHoldTime / (CONSTANTS.VICTORY.THRONE_HOLD_TIME * 1000)
+      );
+      this.throneProgress.fillStyle(0x000000, 0.7);
+      this.throneProgress.fillRect(-30, 16, 60, 6);
+      this.throneProgress.fillStyle(this.throneHolder.color, 1);
+      this.throneProgress.fillRect(-30, 16, 60 * ratio, 6);
+    }
+  }
+
+  /**
+   * Check if a player still has something left under the active condition
+   */
+  isPlayerEliminated(player) {
+    const units = player.getUnits().length;
+    const builders = player.getBuilders().length;
+    const buildings = player.getBuildings().length;
+
+    // Nothing left at all always means elimination
+    if (units + builders + buildings === 0) return true;
+
+    if (this.condition === "destroyBuildings") {
+      return buildings === 0 && builders === 0;
+    }
+
+    if (this.condition === "eliminateUnits") {
+      return units + builders === 0;
+    }
+
+    return false;
+  }
+
+  // Track who is standing on the throne and for how long
+  updateThrone(elapsed) {
+    if (!this.throne) return null;
+
+    const radius = CONSTANTS.VICTORY.THRONE_RADIUS;
+    const present = this.getActivePlayers().filter((player) =>
+      player.getAllUnits().some((unit) => {
+        if (!unit.sprite || unit.isDead) return false;
+        const dx = unit.sprite.x - this.throne.x;
+        const dy = unit.sprite.y - this.throne.y;
+        return Math.sqrt(dx * dx + dy * dy) <= radius;
+      })
+    );
+
+    // A contested or empty throne resets the count
+    const holder = present.length === 1 ? present[0] : null;
+    if (holder !== this.throneHolder) {
+      this.throneHolder = holder;
+      this.throneHoldTime = 0;
+
+      if (holder && this.scene.shop) {
+        this.scene.shop.showMessage(`${holder.name} has taken the throne!`);
+      }
+    } else if (holder) {
+      this.throneHoldTime += elapsed;
+    }
+
+    this.drawThrone();
+
+    if (
+      holder &&
+      this.throneHoldTime >= CONSTANTS.VICTORY.THRONE_HOLD_TIME * 1000
+    ) {
+      return holder;
+    }
+    return null;
+  }
+
+  getActivePlayers() {
+    return this.players.filter((player) => player && !player.isEliminated);
+  }
+
+  /**
+   * Check win and loss conditions, called from the main update loop
+   */
+  update() {
+    if (this.isGameOver) return;
+
+    const now = this.scene.time.now;
+    if (now < this.nextCheckTime) return;
+
+    const elapsed = now - this.lastUpdateTime;
+    this.lastUpdateTime = now;
+    this.nextCheckTime = now + CONSTANTS.VICTORY.CHECK_INTERVAL;
+
+    // Detect newly eliminated players
+    this.getActivePlayers().forEach((player) => {
+      if (this.isPlayerEliminated(player)) {
+        player.isEliminated = true;
+        console.log(`${player.name} has been eliminated`);
+
+        if (this.scene.shop) {
+          this.scene.shop.showMessage(`${player.name} has been eliminated!`);
+        }
+      }
+    });
+
+    const currentPlayer = this.scene.currentPlayer;
+    const activePlayers = this.getActivePlayers();
+
+    // The throne can end the match before anyone is eliminated
+    const throneWinner = this.updateThrone(elapsed);
+    if (throneWinner) {
+      this.endGame(throneWinner);
+      return;
+    }
+
+    if (currentPlayer && currentPlayer.isEliminated) {
+      // The human player is out, even if AI players remain
+      this.endGame(activePlayers.length === 1 ? activePlayers[0] : null);
+    } else if (activePlayers.length <= 1) {
+      this.endGame(activePlayers[0] || null);
+    }
+  }
+
+  /**
+   * Freeze the match and show the results
+   * @param {Player} winner - The winning player, or null for no winner
+   */
+  endGame(winner) {
+    this.isGameOver = true;
+    this.winner = winner;
+
+    // Stop all gold production
+    this.players.forEach((player) => {
+      if (player && player.economy) {
+        player.economy.pauseProduction();
+      }
+    });
+
+    const currentPlayer = this.scene.currentPlayer;
+    const isVictory = !!(
+      winner &&
+      currentPlayer &&
+      winner.id === currentPlayer.id
+    );
+
+    console.log(
+      `Game over: ${winner ? winner.name + " wins" : "no winner"} (${
+        this.condition
+      })`
+    );
+
+    if (this.scene.onGameOver) {
+      this.scene.onGameOver({ winner: winner, isVictory: isVictory });
+    }
+
+    this.showResults(isVictory, winner);
+  }
+
+  // Results overlay with Restart and Return to Menu buttons
+  showResults(isVictory, winner) {
+    const camera = this.scene.cameras.main;
+    const centerX = camera.width / 2;
+    const centerY = camera.height / 2;
+
+    this.overlay = [];
+
+    // Dim the map and block clicks on everything below the overlay
+    const backdrop = this.scene.add.rectangle(
+      0,
+      0,
+      camera.width,
+      camera.height,
+      0x000000,
+      0.6
+    );
+    backdrop.setOrigin(0, 0);
+    backdrop.setInteractive();
+    this.overlay.push(backdrop);
+
+    const panel = this.scene.add.rectangle(
+      centerX,
+      centerY,
+      400,
+      260,
+      0x111111,
+      0.9
+    );
+    panel.setStrokeStyle(2, isVictory ? 0xffd700 : 0xaa0000, 1);
+    this.overlay.push(panel);
+
+    const title = this.scene.add.text(
+      centerX,
+      centerY - 90,
+      isVictory ? "VICTORY" : "DEFEAT",
+      {
+        fontSize: "42px",
+        fontStyle: "bold",
+        fill: isVictory ? "#FFD700" : "#FF4444",
+      }
+    );
+    title.setOrigin(0.5, 0.5);
+    this.overlay.push(title);
+
+    const minutes = Math.floor((this.scene.time.now - this.startTime) / 60000);
+    const seconds = Math.floor(
+      ((this.scene.time.now - this.startTime) % 60000) / 1000
+    );
+    const summary = this.scene.add.text(
+      centerX,
+      centerY - 30,
+      `${winner ? winner.name + " wins" : "No winner"}\n` +
+        `Match time: ${minutes}:${seconds.toString().padStart(2, "0")}`,
+      {
+        fontSize: "18px",
+        fill: "#FFFFFF",
+        align: "center",
+      }
+    );
+    summary.setOrigin(0.5, 0.5);
+    this.overlay.push(summary);
+
+    this.createButton(centerX - 90, centerY + 60, "Restart", () => {
+      window.location.reload();
+    });
+    this.createButton(centerX + 90, centerY + 60, "Return to Menu", () => {
+      window.location.href = CONSTANTS.VICTORY.MENU_URL;
+    });
+
+    this.overlay.forEach((element) => {
+      element.setScrollFactor(0);
+      element.setDepth(element === backdrop ? 2000 : 2001);
+    });
+
+    // Stay centred when the window is resized
+    this.backdrop = backdrop;
+    this.overlayCenter = { x: centerX, y: centerY };
+    this.scene.scale.on("resize", this.repositionResults, this);
+  }
+
+  // Move the results overlay to the middle of the resized screen
+  repositionResults() {
+    const camera = this.scene.cameras.main;
+    const shiftX = camera.width / 2 - this.overlayCenter.x;
+    const shiftY = camera.height / 2 - this.overlayCenter.y;
+
+    this.overlay.forEach((element) => {
+      if (element === this.backdrop) return;
+      element.setPosition(element.x + shiftX, element.y + shiftY);
+    });
+    this.backdrop.setSize(camera.width, camera.height);
+    this.backdrop.input.hitArea.setSize(camera.width, camera.height);
+
+    this.overlayCenter = { x: camera.width / 2, y: camera.height / 2 };
+  }
+
+  createButton(x, y, label, onClick) {
+    const button = this.scene.add.rectangle(x, y, 160, 44, 0x333333, 1);
+    button.setStrokeStyle(1, 0xffffff, 0.5);
+    button.setInteractive({ useHandCursor: true });
+    button.on("pointerdown", onClick);
+    button.on("pointerover", () => button.setFillStyle(0x555555, 1));
+    button.on("pointerout", () => button.setFillStyle(0x333333, 1));
+    this.overlay.push(button);
+
+    const text = this.scene.add.text(x, y, label, {
+      fontSize: "16px",
+      fontStyle: "bold",
+      fill: "#FFFFFF",
+    });
+    text.setOrigin(0.5, 0.5);
+    this.overlay.push(text);
+  }
+
+  // Clean up resources
+  destroy() {
+    if (this.throneGraphics) this.throneGraphics.destroy();
+    if (this.throneProgress) this.throneProgress.destroy();
+    if (this.overlay) {
+      this.overlay.forEach((element) => element.destroy());
+      this.overlay = [];
+      this.scene.scale.off("resize", this.repositionResults, this);
+    }
+  }
+}
+
+// Export the VictoryManager class
+if (typeof module !== "undefined") {
+  module.exports = { VictoryManager };
+}
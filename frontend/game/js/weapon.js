@@ -0,0 +1,246 @@
+/**
+ * Weapon - Handles range checks, rate of fire and target acquisition
+ * for anything that can attack (combat units and defensive buildings).
+ * Weapon profiles are plain objects defined in CONSTANTS.WEAPONS.
+ */
+class Weapon {
+  /**
+   * Constructor for the Weapon class
+   * @param {Phaser.Scene} scene - The scene this weapon belongs to
+   * @param {Object} wielder - The unit or building carrying the weapon
+   * @param {Object} profile - Weapon profile {range, minRange, damage, fireRate}
+   */
+  constructor(scene, wielder, profile) {
+    this.scene = scene;
+    this.wielder = wielder;
+    this.profile = profile;
+
+    this.range = profile.range || 0;
+    this.minRange = profile.minRange || 0;
+    this.damage = profile.damage || 0;
+    this.fireRate = profile.fireRate || 1000; // Milliseconds between shots
+    this.damageType =
+      profile.damageType || CONSTANTS.COMBAT.DEFAULT_DAMAGE_TYPE;
+
+    this.lastFireTime = -Infinity;
+  }
+
+  /**
+   * Get the world position of a unit or building
+   */
+  getPosition(entity) {
+    if (entity.sprite) {
+      return { x: entity.sprite.x, y: entity.sprite.y };
+    }
+    return { x: entity.x, y: entity.y };
+  }
+
+  /**
+   * Get the distance from the wielder to the edge of a target
+   */
+  distanceTo(target) {
+    const from = this.getPosition(this.wielder);
+    const to = this.getPosition(target);
+    const targetRadius =
+      target.bodyRadius || (target.size ? target.size / 2 : 0);
+
+    return Math.max(
+      0,
+      Math.sqrt(Math.pow(to.x - from.x, 2) + Math.pow(to.y - from.y, 2)) -
+        targetRadius
+    );
+  }
+
+  /**
+   * Check if a target is between the minimum and maximum range
+   */
+  isInRange(target) {
+    const distance = this.distanceTo(target);
+    return distance <= this.range && distance >= this.minRange;
+  }
+
+  /**
+   * Check if an entity belongs to a different player than the wielder
+   */
+  isEnemy(entity) {
+    const owner = this.wielder.owner;
+    return !!(owner && entity.owner && entity.owner.id !== owner.id);
+  }
+
+  /**
+   * Check if a target can still be fired upon
+   */
+  isValidTarget(target) {
+    return !!(
+      target &&
+      !target.isDead &&
+      this.isEnemy(target) &&
+      Weapon.canSee(this.scene, this.wielder.owner, target) &&
+      this.isInRange(target)
+    );
+  }
+
+  /**
+   * Collect every enemy unit and building
+   * @returns {Array} Enemy units and buildings
+   */
+  getEnemies() {
+    return Weapon.collectEnemies(this.scene, this.wielder.owner);
+  }
+
+  /**
+   * Check if a player can see a unit or building: it must be inside the
+   * player's vision (when the fog of war is on) and not camouflaged from it
+   * @param {Phaser.Scene} scene - The game scene
+   * @param {Player} player - The player looking
+   * @param {Object} entity - Unit or building
+   */
+  static canSee(scene, player, entity) {
+    if (entity.isHiddenFrom && entity.isHiddenFrom(player)) return false;
+
+    const fogOfWar = scene.fogOfWar;
+    if (!fogOfWar) return true;
+
+    const position = entity.sprite || entity;
+    return fogOfWar.isVisible(player, position.x, position.y);
+  }
+
+  /**
+   * Collect every living unit and building not owned by a player
+   * Shared with the projectile system for splash damage
+   * @param {Phaser.Scene} scene - The game scene
+   * @param {Player} owner - The player whose enemies to collect
+   * @param {boolean} includeHidden - Also collect enemies the player can't
+   *   see, in the fog or camouflaged (e.g. for splash damage)
+   * @returns {Array} Enemy units and buildings
+   */
+  static collectEnemies(scene, owner, includeHidden = false) {
+    if (!owner) return [];
+
+    const enemies = [];
+
+    // Units and builders of every other player
+    (scene.players || []).forEach((player) => {
+      if (!player || player.id === owner.id) return;
+      enemies.push(...player.getAllUnits());
+    });
+
+    // Buildings (including blueprints) owned by other players
+    (scene.buildings || []).forEach((building) => {
+      if (building.owner && building.owner.id !== owner.id) {
+        enemies.push(building);
+      }
+    });
+
+    return enemies.filter(
+      (enemy) =>
+        enemy &&
+        !enemy.isDead &&
+        (includeHidden || Weapon.canSee(scene, owner, enemy))
+    );
+  }
+
+  /**
+   * Get the damage multiplier for a damage type against an armor type
+   * @param {String} damageType - Key in CONSTANTS.COMBAT.DAMAGE_MATRIX
+   * @param {String} armorType - Armor type of the target
+   * @returns {Number} Multiplier applied to base damage
+   */
+  static getDamageMultiplier(damageType, armorType) {
+    const row = CONSTANTS.COMBAT.DAMAGE_MATRIX[damageType];
+    if (!row || row[armorType] === undefined) return 1;
+    return row[armorType];
+  }
+
+  /**
+   * Scale base damage by the target's armor and the cover of its terrain
+   * @param {Number} damage - Base damage of the shot
+   * @param {String} damageType - Damage type of the shot
+   * @param {Object} target - The unit or building being hit
+   * @returns {Number} Damage after armor and cover
+   */
+  static calculateDamage(damage, damageType, target) {
+    const cover = target.getCover ? target.getCover() : 0;
+    return (
+      damage *
+      Weapon.getDamageMultiplier(damageType, target.armorType) *
+      (1 - cover)
+    );
+  }
+
+  /**
+   * Find the nearest enemy that can be fired upon
+   * @returns {Object} The closest valid target, or null if none
+   */
+  acquireTarget() {
+    let closestTarget = null;
+    let closestDistance = Number.MAX_VALUE;
+
+    for (const enemy of this.getEnemies()) {
+      const distance = this.distanceTo(enemy);
+      if (distance > this.range || distance < this.minRange) continue;
+
+      if (distance < closestDistance) {
+        closestDistance = distance;
+        closestTarget = enemy;
+      }
+    }
+
+    return closestTarget;
+  }
+
+  /**
+   * Check if the weapon has finished reloading
+   * @param {Number} now - Current scene time in milliseconds
+   */
+  isReady(now) {
+    return now - this.lastFireTime >= this.fireRate;
+  }
+
+  /**
+   * Get the point projectiles leave from, just in front of the wielder
+   */
+  getMuzzlePosition(target) {
+    const from = this.getPosition(this.wielder);
+    const to = this.getPosition(target);
+    const angle = Math.atan2(to.y - from.y, to.x - from.x);
+    const offset =
+      this.wielder.bodyRadius ||
+      (this.wielder.size ? this.wielder.size / 2 : 0);
+
+    return {
+      x: from.x + Math.cos(angle) * offset,
+      y: from.y + Math.sin(angle) * offset,
+    };
+  }
+
+  /**
+   * Fire at a target
+   * Damage is dealt by the projectile system once the shot lands
+   * @param {Object} target - The unit or building to fire at
+   * @param {Number} now - Current scene time in milliseconds
+   * @returns {boolean} True if the weapon fired
+   */
+  fire(target, now) {
+    if (!this.isReady(now) || !this.isValidTarget(target)) return false;
+
+    this.lastFireTime = now;
+
+    if (this.scene.projectiles) {
+      this.scene.projectiles.fire(this, target);
+    } else {
+      // No projectile system (e.g. during setup), resolve the hit instantly
+      target.takeDamage(
+        Weapon.calculateDamage(this.damage, this.damageType, target),
+        this.wielder
+      );
+    }
+
+    return true;
+  }
+}
+
+// Export the Weapon class
+if (typeof module !== "undefined") {
+  module.exports = { Weapon };
+}
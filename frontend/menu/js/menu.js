@@ -4,6 +4,7 @@ document.addEventListener("DOMContentLoaded", function () {
   // References to DOM elements
   const startGameBtn = document.getElementById("start-game");
   const multiplayerBtn = document.getElementById("multiplayer");
+  const mapEditorBtn = document.getElementById("map-editor");
   const howToPlayBtn = document.getElementById("how-to-play");
   const settingsBtn = document.getElementById("settings");
   const creditsBtn = document.getElementById("credits");
@@ -16,6 +17,21 @@ document.addEventListener("DOMContentLoaded", function () {
 
   const menuMusic = document.getElementById("menu-music");
 
+  // Settings are saved in localStorage so the game can read them
+  const SETTINGS_KEY = "throneWars.settings";
+  const DEFAULT_SETTINGS = {
+    difficulty: "normal",
+    aiPersonality: "random",
+    map: "classic",
+    seed: "",
+    mapSize: "medium",
+    symmetry: "mirror",
+  };
+
+  // Maps made in the map editor (see SAVED_MAP_PREFIX in mapLoader.js)
+  const SAVED_MAPS_KEY = "throneWars.maps";
+  const SAVED_MAP_PREFIX = "saved:";
+
   // Background hexagon animation
   createHexagonBackground();
 
@@ -41,6 +57,11 @@ document.addEventListener("DOMContentLoaded", function () {
     window.location.href = "/game/";
   });
 
+  mapEditorBtn.addEventListener("click", function () {
+    playButtonSound();
+    window.location.href = "/game/editor.html";
+  });
+
   multiplayerBtn.addEventListener("click", function () {
     playButtonSound();
     showModal(
@@ -94,6 +115,34 @@ document.addEventListener("DOMContentLoaded", function () {
 
   settingsBtn.addEventListener("click", function () {
     playButtonSound();
+    const settings = loadSettings();
+    const difficultyOption = (value) =>
+      `<option value="${value}"${
+        settings.difficulty === value ? " selected" : ""
+      }>`;
+    const personalityOption = (value) =>
+      `<option value="${value}"${
+        settings.aiPersonality === value ? " selected" : ""
+      }>`;
+    const mapOption = (value) =>
+      `<option value="${value}"${settings.map === value ? " selected" : ""}>`;
+    const savedMapOptions = loadSavedMapNames()
+      .map((name) => {
+        const value = SAVED_MAP_PREFIX + name;
+        return `<option value="${escapeHTML(value)}"${
+          settings.map === value ? " selected" : ""
+        }>${escapeHTML(name)}</option>`;
+      })
+      .join("");
+    const mapSizeOption = (value) =>
+      `<option value="${value}"${
+        settings.mapSize === value ? " selected" : ""
+      }>`;
+    const symmetryOption = (value) =>
+      `<option value="${value}"${
+        settings.symmetry === value ? " selected" : ""
+      }>`;
+
     showModal(
       "Settings",
       `
@@ -146,11 +195,51 @@ document.addEventListener("DOMContentLoaded", function () {
                     <h3>Gameplay</h3>
                     <div class="setting-item">
                         <span>Game Difficulty</span>
-                        <select>
-                            <option>Easy</option>
-                            <option selected>Normal</option>
-                            <option>Hard</option>
-                            <option>Extreme</option>
+                        <select id="difficulty-setting">
+                            ${difficultyOption("easy")}Easy</option>
+                            ${difficultyOption("normal")}Normal</option>
+                            ${difficultyOption("hard")}Hard</option>
+                            ${difficultyOption("extreme")}Extreme</option>
+                        </select>
+                    </div>
+                    <div class="setting-item">
+                        <span>AI Personality</span>
+                        <select id="personality-setting">
+                            ${personalityOption("random")}Random</option>
+                            ${personalityOption("rusher")}Rusher</option>
+                            ${personalityOption("turtle")}Turtle</option>
+                            ${personalityOption("boomer")}Boomer</option>
+                        </select>
+                    </div>
+                    <div class="setting-item">
+                        <span>Map</span>
+                        <select id="map-setting">
+                            ${mapOption("classic")}Classic</option>
+                            ${mapOption("twinIsles")}Twin Isles</option>
+                            ${mapOption("craterLake")}Crater Lake</option>
+                            ${mapOption("generated")}Random</option>
+                            ${savedMapOptions}
+                        </select>
+                    </div>
+                    <div class="setting-item">
+                        <span>Random Map Seed</span>
+                        <input type="number" id="seed-setting" min="0" placeholder="Any" value="${
+                          settings.seed
+                        }">
+                    </div>
+                    <div class="setting-item">
+                        <span>Random Map Size</span>
+                        <select id="map-size-setting">
+                            ${mapSizeOption("small")}Small</option>
+                            ${mapSizeOption("medium")}Medium</option>
+                            ${mapSizeOption("large")}Large</option>
+                        </select>
+                    </div>
+                    <div class="setting-item">
+                        <span>Random Map Symmetry</span>
+                        <select id="symmetry-setting">
+                            ${symmetryOption("mirror")}Mirror</option>
+                            ${symmetryOption("rotational")}Rotational</option>
                         </select>
                     </div>
                     <div class="setting-item">
@@ -167,11 +256,41 @@ document.addEventListener("DOMContentLoaded", function () {
                 </div>
             </div>
             <div class="settings-footer">
-                <button class="modal-button">Restore Defaults</button>
-                <button class="modal-button primary">Save Changes</button>
+                <button class="modal-button" id="restore-settings">Restore Defaults</button>
+                <button class="modal-button primary" id="save-settings">Save Changes</button>
             </div>
         `
     );
+
+    // Add event listeners for the settings buttons
+    document
+      .getElementById("restore-settings")
+      .addEventListener("click", function () {
+        document.getElementById("difficulty-setting").value =
+          DEFAULT_SETTINGS.difficulty;
+        document.getElementById("personality-setting").value =
+          DEFAULT_SETTINGS.aiPersonality;
+        document.getElementById("map-setting").value = DEFAULT_SETTINGS.map;
+        document.getElementById("seed-setting").value = DEFAULT_SETTINGS.seed;
+        document.getElementById("map-size-setting").value =
+          DEFAULT_SETTINGS.mapSize;
+        document.getElementById("symmetry-setting").value =
+          DEFAULT_SETTINGS.symmetry;
+      });
+
+    document
+      .getElementById("save-settings")
+      .addEventListener("click", function () {
+        saveSettings({
+          difficulty: document.getElementById("difficulty-setting").value,
+          aiPersonality: document.getElementById("personality-setting").value,
+          map: document.getElementById("map-setting").value,
+          seed: document.getElementById("seed-setting").value,
+          mapSize: document.getElementById("map-size-setting").value,
+          symmetry: document.getElementById("symmetry-setting").value,
+        });
+        closeModal();
+      });
   });
 
   creditsBtn.addEventListener("click", function () {
@@ -263,6 +382,46 @@ document.addEventListener("DOMContentLoaded", function () {
     modalContainer.classList.add("modal-hidden");
   }
 
+  // Settings functions
+  function loadSettings() {
+    try {
+      return {
+        ...DEFAULT_SETTINGS,
+        ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || "{}"),
+      };
+    } catch (error) {
+      console.log("Could not load settings:", error);
+      return { ...DEFAULT_SETTINGS };
+    }
+  }
+
+  function saveSettings(changes) {
+    const settings = { ...loadSettings(), ...changes };
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    console.log("Settings saved:", settings);
+  }
+
+  // Names of the maps saved from the map editor
+  function loadSavedMapNames() {
+    try {
+      return Object.keys(
+        JSON.parse(localStorage.getItem(SAVED_MAPS_KEY) || "{}")
+      ).sort();
+    } catch (error) {
+      console.log("Could not load saved maps:", error);
+      return [];
+    }
+  }
+
+  // Map names are typed by players, so escape them before use in HTML
+  function escapeHTML(text) {
+    return text
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
   // Audio functions
   function playButtonSound() {
     const buttonSound = new Audio("/menu/assets/audio/button-click.mp3");